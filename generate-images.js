@@ -1,10 +1,7 @@
 (async() => {
-  const { v4: uuid } = require('uuid')
   const path = require('path')
-  const treekill = require('tree-kill')
   const fs = require('fs-extra')
   const _ = require('lodash')
-  const { fork } = require('child_process')
 
   const oldCwd = process.cwd()
   const newCwd = path.resolve(path.dirname(__filename))
@@ -14,9 +11,23 @@
     process.chdir(newCwd)
   }
 
-  const { readSmilesFromCsv, cliParams, wait } = require('./src/generator/misc')
+  const { cliParams } = require('./src/generator/misc')
+  const { readMolecules } = require('./src/generator/input')
+  const CocoExporter = require('./src/generator/coco')
+  const { writeYoloClasses } = require('./src/generator/yolo')
+  const MolReader = require('./src/drawer/MolReader')
+  const MolWriter = require('./src/drawer/MolWriter')
+  const Manifest = require('./src/generator/manifest')
+  const KeySet = require('./src/generator/keys')
+  const { FailureReport } = require('./src/generator/failures')
+  const Renderer = require('./src/generator/Renderer')
+  const WorkerPool = require('./src/generator/pool')
+  const { Splitter } = require('./src/generator/split')
+  const { MoleculeFilter } = require('./src/generator/filters')
+  const { AnalysisPool } = require('./src/generator/analysis')
 
   const conf = cliParams()
+  const coco = conf.outputCoco ? new CocoExporter(conf.outputDirectory) : null
 
   if (conf.clean) {
     console.log(`deleting ${conf.outputDirectory}`)
@@ -25,91 +36,224 @@
 
   await fs.ensureDir(conf.outputDirectory)
 
-  console.log('reading smiles file')
-  const smilesList = (await readSmilesFromCsv(conf.csvFile, conf.csvColumn, conf.amount))
-    .filter(s => s.length >= conf.minSmilesLength && s.length <= conf.maxSmilesLength)
-    .slice(0, conf.amount)
+  if (coco) {
+    await coco.open(conf.resume)
+  }
+
+  const renderer = new Renderer(conf)
+  const manifest = new Manifest(conf.outputDirectory)
+  // Samples in tar shards only count when their shard still exists
+  const completed = conf.resume ? await manifest.completed(entry => renderer.sink.isStored(entry.files)) : new KeySet()
+  manifest.open(conf.resume)
 
-  console.log(`found ${smilesList.length} SMILES strings with length between ${conf.minSmilesLength} and ${conf.maxSmilesLength} characters`)
+  const failures = new FailureReport(conf.outputDirectory, conf.resume)
 
-  const label = `generating ${smilesList.length} images with concurrency ${conf.concurrency}`
+  // Records arrive in completion order, the sdf is streamed instead of being held in memory
+  const sdfFile = path.join(conf.outputDirectory, 'molecules.sdf')
+  const sdf = conf.outputSdf ? fs.createWriteStream(sdfFile, { flags: conf.resume ? 'a' : 'w' }) : null
+  let sdfRecords = 0
+
+  if (conf.outputYolo) {
+    await writeYoloClasses(conf.outputDirectory)
+  }
+
+  const splitter = conf.split ? new Splitter(conf) : null
+  const filter = conf.filters.length ? new MoleculeFilter(conf.filters) : null
+  const analysis = new AnalysisPool({ threads: conf.analysisThreads, descriptors: !!filter, scaffold: conf.splitBy === 'scaffold' && !!splitter })
+  const inputProgress = {}
+  const input = readMolecules({ file: conf.inputFile, format: conf.inputFormat, column: conf.csvColumn, header: conf.header, progress: inputProgress })
+
+  const label = `generating images with concurrency ${conf.concurrency}`
   console.time(label)
 
-  // aneb: clear state after every n images
-  const numberOfBatches = Math.round(conf.amount / conf.batchSize)
-  const batches = _.chunk(smilesList, Math.round(conf.amount / numberOfBatches))
+  console.log(`reading ${conf.inputFile} lazily, batch size ${conf.batchSize}, concurrency ${conf.concurrency}`)
 
-  console.log(`processing ${conf.amount} images in ${batches.length} batches (batch size ${conf.batchSize}, concurrency ${conf.concurrency})`)
+  // Outputs are named by the hash of the canonical SMILES or the compound id, duplicates would only overwrite each
+  // other. The first 64 bits of a hash are enough to tell the inputs apart, a KeySet holds them without the size limit
+  // of a Set
+  const seen = new KeySet()
+  const counts = { read: 0, length: 0, filtered: 0, duplicate: 0, complete: 0, accepted: 0 }
 
-  const browserDir = 'browser'
-  const debug = typeof v8debug === 'object'
-  const children = {}
-  let done = 0
-  for (const [index, smilesList] of batches.entries()) {
-    const tmpDir = path.join(browserDir, uuid())
-    await fs.ensureDir(tmpDir)
-
-    const browserOptions = {
-      userDataDir: tmpDir,
-      temporaryDirectory: tmpDir,
-      headless: true,
-      devtools: false,
-      protocolTimeout: 100_000_000
+  const candidates = async function * () {
+    for await (const { smiles, row } of input) {
+      counts.read += 1
+
+      // Columns are validated against the first row, later rows can be shorter in ragged files
+      if (counts.read === 1) {
+        const missing = [conf.idColumn, ...conf.passthroughColumns].filter(c => c !== false && !(c in row))
+
+        if (missing.length) {
+          throw new Error(`columns ${missing.join(', ')} not found in ${conf.inputFile}, columns are ${Object.keys(row).join(', ')}`)
+        }
+      }
+
+      const compoundId = conf.idColumn === false ? null : row[conf.idColumn] ?? null
+      const properties = conf.passthroughColumns.length ? Object.fromEntries(conf.passthroughColumns.map(c => [c, row[c] ?? null])) : null
+
+      // Mol blocks are passed on as they are, the length filter only applies to SMILES strings
+      if (!MolReader.isMolBlock(smiles) && (smiles.length < conf.minSmilesLength || smiles.length > conf.maxSmilesLength)) {
+        counts.length += 1
+        continue
+      }
+
+      yield { smiles, compoundId, properties }
     }
+  }
 
-    const message = { conf, smilesList, browserOptions }
+  const accepted = async function * () {
+    for await (const molecule of analysis.run(candidates())) {
+      const { smiles, compoundId, properties, canonicalSmiles } = molecule
 
-    const args = { }
+      // Different ways of writing the same molecule, e.g. OCC and CCO, get the same name and are duplicates
+      const id = renderer.outputName(canonicalSmiles, compoundId)
 
-    // aneb: inspector error are IDE-related and do not occur when calling node from command line
-    if (debug) {
-      const offset = (index % conf.concurrency) + 1
-      const port = process.debugPort + offset
+      // Duplicates are listed in the manifest under the name of the first one, so their compound ids are not lost
+      if (seen.has(id)) {
+        counts.duplicate += 1
+        manifest.add({ id, compoundId, smiles, status: 'duplicate' })
+        continue
+      }
 
-      console.log(`adding debug port ${port}`)
-      args.execArgv = [`--inspect=${port}`]
+      // Filtered molecules do not count towards the amount
+      if (filter && !filter.accepts(molecule.descriptors)) {
+        counts.filtered += 1
+        continue
+      }
+      seen.add(id)
+
+      const { split, scaffold } = splitter ? splitter.assign(canonicalSmiles, molecule.scaffold) : { split: null, scaffold: null }
+      yield { id, smiles, canonicalSmiles, compoundId, properties, split, scaffold }
+
+      // Complete molecules count towards the amount, so that a resumed run covers the same input
+      if (seen.size >= conf.amount) {
+        return
+      }
+    }
+  }
+
+  // Consecutive molecules of the same split share a canvas, it is named by the canonical SMILES of all of them
+  const canvases = async function * (molecules) {
+    const open = {}
+    const canvas = function(members) {
+      const smiles = members.map(m => m.smiles).join(' ')
+      const [{ split }] = members
+      return { id: renderer.canvasName(members), smiles, compoundId: null, properties: null, split, scaffold: null, members }
+    }
+
+    for await (const molecule of molecules) {
+      const members = open[molecule.split] = open[molecule.split] || []
+      members.push(molecule)
+
+      if (members.length === conf.moleculesPerImage) {
+        delete open[molecule.split]
+        yield canvas(members)
+      }
     }
 
-    const child = fork('src/worker.js', args)
-    children[child.pid] = { }
+    for (const members of Object.values(open)) {
+      yield canvas(members)
+    }
+  }
 
-    child.on('message', function({ browserPid }) {
-      children[this.pid] = { browserPid }
-    })
+  const samples = async function * () {
+    const candidates = conf.moleculesPerImage > 1 ? canvases(accepted()) : accepted()
 
-    child.on('exit', function(code) {
-      done += 1
-      const state = code ? 'FAIL' : 'SUCCESS'
+    for await (const sample of candidates) {
+      if (completed.has(sample.id) && await renderer.isComplete(sample.id, sample.split)) {
+        counts.complete += 1
+      } else {
+        counts.accepted += 1
+        yield sample
+      }
+    }
+  }
 
-      console.log(`${new Date().toUTCString()} - ${state} ${done}/${batches.length} done`)
+  const queue = samples()
 
-      treekill(children[this.pid].browserPid, 'SIGKILL')
-      treekill(this.pid, 'SIGKILL')
-      delete children[this.pid]
-    })
+  // Workers pull chunks whenever they are idle, the input is only read as fast as images are generated
+  const next = async function(n) {
+    const molecules = []
 
-    child.send(message)
+    while (molecules.length < n) {
+      const { value, done } = await queue.next()
 
-    while (Object.keys(children).length >= conf.concurrency) {
-      await wait(1000)
+      if (done) {
+        break
+      }
+
+      molecules.push(value)
     }
 
-    try {
-      await fs.remove(tmpDir)
-    } catch (error) {
-      console.error(error)
+    return molecules
+  }
+
+  // The share of the input that has been read, scaled by how much of it has been processed
+  const fraction = function(processed) {
+    const read = inputProgress.size ? inputProgress.bytes / inputProgress.size : 0
+    const byInput = counts.accepted ? read * processed / counts.accepted : 0
+
+    return Math.min(1, Math.max(isFinite(conf.amount) ? processed * conf.moleculesPerImage / conf.amount : 0, byInput))
+  }
+
+  const onEntry = function(entry) {
+    manifest.add(entry)
+
+    if (entry.status === 'failure') {
+      failures.add(entry)
     }
   }
 
-  // aneb: must also wait for last processes to finish
-  while (Object.keys(children).length !== 0) {
-    await wait(100)
+  const onRecord = function(record) {
+    if (coco) {
+      coco.add(record)
+    }
+
+    if (sdf) {
+      const file = path.relative(conf.outputDirectory, record.file)
+
+      // Every molecule of a canvas is a record of its own, the index links it to its instance label
+      for (const molecule of record.molecules || [record]) {
+        const properties = _.omitBy({ id: record.id, index: molecule.index, compoundId: molecule.compoundId, split: record.split, smiles: molecule.smiles, file, ...molecule.properties }, _.isNil)
+        sdf.write(MolWriter.getSdfRecord(molecule.molBlock, properties))
+        sdfRecords += 1
+      }
+    }
   }
 
+  const browserDir = 'browser'
+  const pool = new WorkerPool({ conf, next, fraction, onEntry, onRecord, browserDir })
+
   try {
-    await fs.remove(browserDir)
-  } catch (error) {
-    console.error(error)
+    await pool.run()
+  } finally {
+    await fs.remove(browserDir).catch(error => console.error(error))
+
+    // What was written before a failure is kept complete, a resumed run continues from it
+    await manifest.close()
+    await failures.close()
+
+    if (coco) {
+      await coco.close()
+    }
+
+    if (sdf) {
+      await new Promise(resolve => sdf.end(resolve))
+    }
+  }
+
+  console.log(`read ${counts.read} molecules, skipped ${counts.length} outside of length ${conf.minSmilesLength} to ${conf.maxSmilesLength}, ` +
+    (filter ? `${counts.filtered} by descriptor filters, ` : '') +
+    `${counts.duplicate} duplicates and ${counts.complete} already complete, processed ${counts.accepted}` +
+    (conf.moleculesPerImage > 1 ? ` canvases of up to ${conf.moleculesPerImage} molecules` : ''))
+
+  if (coco) {
+    console.log(`wrote ${coco.counts.annotations} annotations of ${coco.counts.images} images to ${await coco.write()}`)
+  }
+
+  console.log(failures.summary(counts.accepted))
+
+  if (sdf) {
+    console.log(`wrote ${sdfRecords} molecules to ${sdfFile}`)
   }
 
   console.timeEnd(label)
@@ -2,6 +2,8 @@
 const ArrayHelper = require('./ArrayHelper')
 const Vertex = require('./Vertex')
 const Ring = require('./Ring')
+const Elements = require('./Elements')
+const Valence = require('./Valence')
 
 /**
  * A class representing an atom.
@@ -31,6 +33,7 @@ const Ring = require('./Ring')
  * @property {String[]} neighbouringElements An array containing the element symbols of neighbouring atoms.
  * @property {Boolean} isPartOfAromaticRing A boolean indicating whether or not this atom is part of an explicitly defined aromatic ring. Example: c1ccccc1.
  * @property {Number} bondCount The number of bonds in which this atom is participating.
+ * @property {Number} aromaticDoubleBonds The number of double bonds (0 or 1) this atom has in the Kekulé structure of its aromatic system, they are not part of bondCount.
  * @property {String} chirality The chirality of this atom if it is a stereocenter (R or S).
  * @property {Number} priority The priority of this atom acording to the CIP rules, where 0 is the highest priority.
  * @property {Boolean} mainChain A boolean indicating whether or not this atom is part of the main chain (used for chirality).
@@ -46,6 +49,11 @@ class Atom {
    */
   constructor(element, bondType = '-') {
     this.element = element.length === 1 ? element.toUpperCase() : element
+
+    if (this.element !== '*' && !Elements.get(this.element)) {
+      throw new Error(`unknown element '${element}'`)
+    }
+
     this.drawExplicit = false
     this.ringbonds = Array()
     this.rings = Array()
@@ -65,6 +73,7 @@ class Atom {
     this.neighbouringElements = Array()
     this.isPartOfAromaticRing = element !== this.element
     this.bondCount = 0
+    this.aromaticDoubleBonds = 0
     this.chirality = ''
     this.isStereoCenter = false
     this.priority = 0
@@ -75,286 +84,41 @@ class Atom {
   }
 
   /**
-   * A map mapping element symbols to their maximum bonds.
+   * A map mapping element symbols to their maximum bonds, the lowest default valence.
    */
   static get maxBonds() {
-    return {
-      H: 1,
-      C: 4,
-      N: 3,
-      O: 2,
-      P: 3,
-      S: 2,
-      B: 3,
-      F: 1,
-      I: 1,
-      Cl: 1,
-      Br: 1
+    const maxBonds = {}
+
+    for (const symbol of Elements.symbols) {
+      const valences = Elements.get(symbol).valences
+
+      if (valences.length > 0) {
+        maxBonds[symbol] = valences[0]
+      }
     }
+
+    return maxBonds
   }
 
   /**
    * A map mapping element symbols to the atomic number.
    */
   static get atomicNumbers() {
-    return {
-      H: 1,
-      He: 2,
-      Li: 3,
-      Be: 4,
-      B: 5,
-      b: 5,
-      C: 6,
-      c: 6,
-      N: 7,
-      n: 7,
-      O: 8,
-      o: 8,
-      F: 9,
-      Ne: 10,
-      Na: 11,
-      Mg: 12,
-      Al: 13,
-      Si: 14,
-      P: 15,
-      p: 15,
-      S: 16,
-      s: 16,
-      Cl: 17,
-      Ar: 18,
-      K: 19,
-      Ca: 20,
-      Sc: 21,
-      Ti: 22,
-      V: 23,
-      Cr: 24,
-      Mn: 25,
-      Fe: 26,
-      Co: 27,
-      Ni: 28,
-      Cu: 29,
-      Zn: 30,
-      Ga: 31,
-      Ge: 32,
-      As: 33,
-      Se: 34,
-      Br: 35,
-      Kr: 36,
-      Rb: 37,
-      Sr: 38,
-      Y: 39,
-      Zr: 40,
-      Nb: 41,
-      Mo: 42,
-      Tc: 43,
-      Ru: 44,
-      Rh: 45,
-      Pd: 46,
-      Ag: 47,
-      Cd: 48,
-      In: 49,
-      Sn: 50,
-      Sb: 51,
-      Te: 52,
-      I: 53,
-      Xe: 54,
-      Cs: 55,
-      Ba: 56,
-      La: 57,
-      Ce: 58,
-      Pr: 59,
-      Nd: 60,
-      Pm: 61,
-      Sm: 62,
-      Eu: 63,
-      Gd: 64,
-      Tb: 65,
-      Dy: 66,
-      Ho: 67,
-      Er: 68,
-      Tm: 69,
-      Yb: 70,
-      Lu: 71,
-      Hf: 72,
-      Ta: 73,
-      W: 74,
-      Re: 75,
-      Os: 76,
-      Ir: 77,
-      Pt: 78,
-      Au: 79,
-      Hg: 80,
-      Tl: 81,
-      Pb: 82,
-      Bi: 83,
-      Po: 84,
-      At: 85,
-      Rn: 86,
-      Fr: 87,
-      Ra: 88,
-      Ac: 89,
-      Th: 90,
-      Pa: 91,
-      U: 92,
-      Np: 93,
-      Pu: 94,
-      Am: 95,
-      Cm: 96,
-      Bk: 97,
-      Cf: 98,
-      Es: 99,
-      Fm: 100,
-      Md: 101,
-      No: 102,
-      Lr: 103,
-      Rf: 104,
-      Db: 105,
-      Sg: 106,
-      Bh: 107,
-      Hs: 108,
-      Mt: 109,
-      Ds: 110,
-      Rg: 111,
-      Cn: 112,
-      Uut: 113,
-      Uuq: 114,
-      Uup: 115,
-      Uuh: 116,
-      Uus: 117,
-      Uuo: 118
-    }
+    return Elements.map('atomicNumber')
   }
 
   /**
-   * A map mapping element symbols to the atomic mass.
+   * A map mapping element symbols to the standard atomic weight.
    */
   static get mass() {
-    return {
-      H: 1,
-      He: 2,
-      Li: 3,
-      Be: 4,
-      B: 5,
-      b: 5,
-      C: 6,
-      c: 6,
-      N: 7,
-      n: 7,
-      O: 8,
-      o: 8,
-      F: 9,
-      Ne: 10,
-      Na: 11,
-      Mg: 12,
-      Al: 13,
-      Si: 14,
-      P: 15,
-      p: 15,
-      S: 16,
-      s: 16,
-      Cl: 17,
-      Ar: 18,
-      K: 19,
-      Ca: 20,
-      Sc: 21,
-      Ti: 22,
-      V: 23,
-      Cr: 24,
-      Mn: 25,
-      Fe: 26,
-      Co: 27,
-      Ni: 28,
-      Cu: 29,
-      Zn: 30,
-      Ga: 31,
-      Ge: 32,
-      As: 33,
-      Se: 34,
-      Br: 35,
-      Kr: 36,
-      Rb: 37,
-      Sr: 38,
-      Y: 39,
-      Zr: 40,
-      Nb: 41,
-      Mo: 42,
-      Tc: 43,
-      Ru: 44,
-      Rh: 45,
-      Pd: 46,
-      Ag: 47,
-      Cd: 48,
-      In: 49,
-      Sn: 50,
-      Sb: 51,
-      Te: 52,
-      I: 53,
-      Xe: 54,
-      Cs: 55,
-      Ba: 56,
-      La: 57,
-      Ce: 58,
-      Pr: 59,
-      Nd: 60,
-      Pm: 61,
-      Sm: 62,
-      Eu: 63,
-      Gd: 64,
-      Tb: 65,
-      Dy: 66,
-      Ho: 67,
-      Er: 68,
-      Tm: 69,
-      Yb: 70,
-      Lu: 71,
-      Hf: 72,
-      Ta: 73,
-      W: 74,
-      Re: 75,
-      Os: 76,
-      Ir: 77,
-      Pt: 78,
-      Au: 79,
-      Hg: 80,
-      Tl: 81,
-      Pb: 82,
-      Bi: 83,
-      Po: 84,
-      At: 85,
-      Rn: 86,
-      Fr: 87,
-      Ra: 88,
-      Ac: 89,
-      Th: 90,
-      Pa: 91,
-      U: 92,
-      Np: 93,
-      Pu: 94,
-      Am: 95,
-      Cm: 96,
-      Bk: 97,
-      Cf: 98,
-      Es: 99,
-      Fm: 100,
-      Md: 101,
-      No: 102,
-      Lr: 103,
-      Rf: 104,
-      Db: 105,
-      Sg: 106,
-      Bh: 107,
-      Hs: 108,
-      Mt: 109,
-      Ds: 110,
-      Rg: 111,
-      Cn: 112,
-      Uut: 113,
-      Uuq: 114,
-      Uup: 115,
-      Uuh: 116,
-      Uus: 117,
-      Uuo: 118
-    }
+    return Elements.map('mass')
+  }
+
+  /**
+   * A map mapping element symbols to the mass of their most abundant isotope.
+   */
+  static get monoisotopicMass() {
+    return Elements.map('monoisotopicMass')
   }
 
   /**
@@ -536,6 +300,20 @@ class Atom {
   getMaxBonds() {
     return Atom.maxBonds[this.element]
   }
+
+  /**
+   * Get the number of hydrogens of this atom, as written in brackets or implicit according to the default valences.
+   * Hydrogens of stereocenters are vertices of their own in addition to the count in brackets.
+   *
+   * @returns {Number} The number of hydrogens of this atom.
+   */
+  getHydrogenCount() {
+    if (this.bracket) {
+      return this.bracket.hcount || 0
+    }
+
+    return Valence.getImplicitHydrogens(this.element, this.bondCount + this.aromaticDoubleBonds)
+  }
 }
 
 module.exports = Atom
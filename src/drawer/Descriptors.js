@@ -0,0 +1,125 @@
+// @ts-check
+const Elements = require('./Elements')
+const SmilesWriter = require('./SmilesWriter')
+
+/**
+ * A static class computing molecular descriptors of a loaded molecule. Hydrogens count whether they are implicit,
+ * written in brackets or vertices of their own. Hydrogen bond donors and acceptors follow Lipinski's rule of five:
+ * acceptors are all nitrogen and oxygen atoms, donors are those carrying a hydrogen.
+ */
+class Descriptors {
+  /**
+   * The names of the descriptors in the order they are computed.
+   */
+  static get names() {
+    return [
+      'mass',
+      'monoisotopicMass',
+      'charge',
+      'heavyAtoms',
+      'hBondDonors',
+      'hBondAcceptors',
+      'rotatableBonds',
+      'rings',
+      'aromaticRings',
+      'stereocenters'
+    ]
+  }
+
+  /**
+   * Returns the number of hydrogens of an atom that are not vertices of the graph.
+   *
+   * @param {Object} atom An atom.
+   * @returns {Number} The number of hydrogens.
+   */
+  static getImplicitHydrogenCount(atom) {
+    // Hydrogens of stereocenters were added to the graph as vertices
+    if (atom.bracket && atom.bracket.chirality) {
+      return 0
+    }
+
+    return atom.getHydrogenCount()
+  }
+
+  /**
+   * Returns the mass of an atom including its implicit hydrogens. Isotopes count with their mass number.
+   *
+   * @param {Object} atom An atom.
+   * @param {String} property The mass property of the elements, mass or monoisotopicMass.
+   * @returns {Number} The mass.
+   */
+  static getAtomMass(atom, property) {
+    const element = Elements.get(atom.element)
+    const hydrogens = Descriptors.getImplicitHydrogenCount(atom) * Elements.get('H')[property]
+
+    if (atom.bracket && atom.bracket.isotope) {
+      return atom.bracket.isotope + hydrogens
+    }
+
+    return (element ? element[property] : 0) + hydrogens
+  }
+
+  /**
+   * Returns whether a bond is rotatable, i.e. a single bond between two non-terminal atoms that is not part of a ring.
+   * Unlike in the layout, bonds to other components across '.' do not make an atom non-terminal.
+   *
+   * @param {Object} drawer A drawer whose rings have been initialized.
+   * @param {Object} edge An edge.
+   * @returns {Boolean} A boolean indicating whether or not the bond is rotatable.
+   */
+  static isBondRotatable(drawer, edge) {
+    const graph = drawer.graph
+    const vertexA = graph.vertices[edge.sourceId]
+    const vertexB = graph.vertices[edge.targetId]
+
+    if (edge.bondType !== '-') {
+      return false
+    }
+
+    if (SmilesWriter.getBondedNeighbours(graph, vertexA.id).length < 2 || SmilesWriter.getBondedNeighbours(graph, vertexB.id).length < 2) {
+      return false
+    }
+
+    return !drawer.areVerticesInSameRing(vertexA, vertexB)
+  }
+
+  /**
+   * Computes the descriptors of the molecule loaded into a drawer. Aromatic rings are perceived in the Kekulé structure
+   * as in the canonical SMILES, so they count whether the input was written aromatic or not.
+   *
+   * @param {Object} drawer A drawer whose rings have been initialized.
+   * @returns {Object} A map mapping the descriptor names to their values.
+   */
+  static compute(drawer) {
+    const graph = drawer.graph
+    const vertices = graph.vertices
+    const isHydrogen = vertex => vertex.value.element === 'H'
+    const hydrogens = vertex => Descriptors.getImplicitHydrogenCount(vertex.value) +
+      vertex.neighbours.filter(id => isHydrogen(vertices[id])).length
+    const isNO = vertex => ['N', 'O'].includes(Elements.normalize(vertex.value.element))
+
+    // The rings before bridged rings are merged, the smallest set of smallest rings
+    const rings = drawer.originalRings
+    const aromatic = SmilesWriter.getAromaticity(graph, rings.map(ring => ring.members))
+    const isAromatic = ring => ring.members.every(id => aromatic.atoms.has(id) &&
+      vertices[id].neighbours.every(n => !ring.members.includes(n) || aromatic.edges.has(graph.getEdge(id, n).id)))
+
+    const sum = values => values.reduce((total, value) => total + value, 0)
+    const round = value => Math.round(value * 100000) / 100000
+
+    return {
+      mass: round(sum(vertices.map(v => Descriptors.getAtomMass(v.value, 'mass')))),
+      monoisotopicMass: round(sum(vertices.map(v => Descriptors.getAtomMass(v.value, 'monoisotopicMass')))),
+      charge: sum(vertices.map(v => v.value.bracket ? v.value.bracket.charge || 0 : 0)),
+      heavyAtoms: vertices.filter(v => !isHydrogen(v) && v.value.element !== '*').length,
+      hBondDonors: vertices.filter(v => isNO(v) && hydrogens(v) > 0).length,
+      hBondAcceptors: vertices.filter(isNO).length,
+      rotatableBonds: graph.edges.filter(edge => Descriptors.isBondRotatable(drawer, edge)).length,
+      rings: rings.length,
+      aromaticRings: rings.filter(isAromatic).length,
+      stereocenters: vertices.filter(v => v.value.isStereoCenter).length
+    }
+  }
+}
+
+module.exports = Descriptors
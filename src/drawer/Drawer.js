@@ -4,16 +4,22 @@ const MathHelper = require('./MathHelper')
 const ArrayHelper = require('./ArrayHelper')
 const Vector2 = require('./Vector2')
 const Edge = require('./Edge')
-const Atom = require('./Atom')
+const Descriptors = require('./Descriptors')
+const Elements = require('./Elements')
 const Ring = require('./Ring')
 const RingConnection = require('./RingConnection')
 const Graph = require('./Graph')
 const SSSR = require('./SSSR')
+const MolWriter = require('./MolWriter')
+const MolReader = require('./MolReader')
+const Kekulizer = require('./Kekulizer')
+const SmilesWriter = require('./SmilesWriter')
 
 /**
  * The main class of the application representing the smiles drawer
  *
  * @property {Graph} graph The graph associated with this SmilesDrawer.Drawer instance.
+ * @property {(Object|null)} molecule The molecule read from a MOL file the graph was created from, null for SMILES.
  * @property {Number} ringIdCounter An internal counter to keep track of ring ids.
  * @property {Number} ringConnectionIdCounter An internal counter to keep track of ring connection ids.
  * @property {Number} totalOverlapScore The current internal total overlap score.
@@ -28,6 +34,8 @@ class Drawer {
    */
   constructor(options) {
     this.graph = null
+    this.molecule = null
+    this.descriptors = null
     this.doubleBondConfigCount = 0
     this.doubleBondConfig = null
     this.ringIdCounter = 0
@@ -49,6 +57,7 @@ class Drawer {
       fontSizeSmall: 4,
       padding: 25,
       atomVisualization: 'default',
+      aromaticRings: 'circle',
       isomeric: true,
       terminalCarbons: false,
       explicitHydrogens: true,
@@ -60,7 +69,8 @@ class Drawer {
       kkInnerThreshold: 0.1,
       kkMaxIteration: 2000,
       kkMaxInnerIteration: 50,
-      kkMaxEnergy: 1e9
+      kkMaxEnergy: 1e9,
+      keepCoordinates: false
     }
 
     this.opts = Object.assign(this.defaultOptions, options)
@@ -72,7 +82,17 @@ class Drawer {
     this.ringIdCounter = 0
     this.ringConnectionIdCounter = 0
 
-    this.graph = new Graph(data, this.opts.isomeric)
+    // A molecule read from a MOL file is loaded through an equivalent parse tree, vertex ids follow the tree
+    this.molecule = null
+
+    if (MolReader.isMolecule(data)) {
+      const { tree, atomIndices } = MolReader.toParseTree(data)
+      this.molecule = { ...data, atomIndices }
+      this.graph = new Graph(tree, this.opts.isomeric)
+      this.initMoleculeStereoCenters()
+    } else {
+      this.graph = new Graph(data, this.opts.isomeric)
+    }
     this.rings = []
     this.ringConnections = []
 
@@ -86,10 +106,22 @@ class Drawer {
     this.doubleBondConfig = null
 
     this.initRings()
+
+    // Aromatic systems are kekulized in any case, the Kekulé structure tells which aromatic atoms carry hydrogens
+    Kekulizer.kekulize(this.graph)
+
     this.initHydrogens()
+
+    // Descriptors are computed from the molecule as loaded, before the layout changes the graph
+    this.descriptors = Descriptors.compute(this)
   }
 
   processGraph() {
+    if (this.molecule && this.opts.keepCoordinates) {
+      this.processMoleculeGraph()
+      return
+    }
+
     this.position()
 
     // Restore the ring information (removes bridged rings and replaces them with the original, multiple, rings)
@@ -181,7 +213,9 @@ class Drawer {
 
     this.resolveSecondaryOverlaps(overlapScore.scores)
 
-    if (this.opts.isomeric) {
+    if (this.opts.isomeric && this.molecule) {
+      this.applyMoleculeWedges()
+    } else if (this.opts.isomeric) {
       this.annotateStereochemistry()
     }
 
@@ -193,6 +227,93 @@ class Drawer {
     this.rotateDrawing()
   }
 
+  /**
+   * Processes the graph of a molecule read from a MOL file using the coordinates of the file instead of the layout.
+   */
+  processMoleculeGraph() {
+    this.positionFromMolecule()
+    this.restoreRingInformation()
+
+    for (let i = 0; i < this.rings.length; i++) {
+      this.setRingCenter(this.rings[i])
+      this.rings[i].positioned = true
+    }
+
+    if (this.opts.isomeric) {
+      this.applyMoleculeWedges()
+    }
+
+    if (this.opts.compactDrawing && this.opts.atomVisualization === 'default') {
+      this.initPseudoElements()
+    }
+  }
+
+  /**
+   * Positions the vertices at the coordinates of the MOL file, scaled to the bond length. The y-axis is flipped as it points up in MOL files.
+   */
+  positionFromMolecule() {
+    const { atoms, atomIndices } = this.molecule
+    const edges = this.graph.edges.filter(edge => edge.bondType !== '.')
+    let total = 0
+
+    for (let i = 0; i < edges.length; i++) {
+      const a = atoms[atomIndices[edges[i].sourceId] - 1]
+      const b = atoms[atomIndices[edges[i].targetId] - 1]
+      total += Math.hypot(a.x - b.x, a.y - b.y)
+    }
+
+    const scale = total > 0 ? this.opts.bondLength / (total / edges.length) : 1
+
+    for (let i = 0; i < this.graph.vertices.length; i++) {
+      const vertex = this.graph.vertices[i]
+      const atom = atoms[atomIndices[i] - 1]
+
+      vertex.position = new Vector2(atom.x * scale, -atom.y * scale)
+      vertex.positioned = true
+    }
+  }
+
+  /**
+   * Marks the atoms at the narrow end of wedges in the MOL file as stereo centers.
+   */
+  initMoleculeStereoCenters() {
+    const vertexIds = this.getMoleculeVertexIds()
+
+    for (const bond of this.molecule.bonds) {
+      if (bond.wedge) {
+        this.graph.vertices[vertexIds[bond.source]].value.isStereoCenter = true
+      }
+    }
+  }
+
+  /**
+   * Applies the wedges of the MOL file to the edges.
+   */
+  applyMoleculeWedges() {
+    const vertexIds = this.getMoleculeVertexIds()
+
+    for (const bond of this.molecule.bonds) {
+      const edge = this.graph.getEdge(vertexIds[bond.source], vertexIds[bond.target])
+
+      if (bond.wedge && edge) {
+        edge.wedge = bond.wedge
+      }
+    }
+  }
+
+  /**
+   * Returns a map mapping the atom indices of the MOL file to vertex ids.
+   *
+   * @returns {Object} The map.
+   */
+  getMoleculeVertexIds() {
+    const vertexIds = {}
+
+    this.molecule.atomIndices.forEach((index, vertexId) => { vertexIds[index] = vertexId })
+
+    return vertexIds
+  }
+
   /**
    * Returns the total overlap score of the current molecule.
    *
@@ -202,6 +323,42 @@ class Drawer {
     return this.totalOverlapScore
   }
 
+  /**
+   * Returns the loaded molecule as a MOL file containing the 2D coordinates of the layout.
+   *
+   * @param {Object} [options={}] The options passed to MolWriter.write().
+   * @returns {String} The MOL file.
+   */
+  getMolBlock(options = {}) {
+    return MolWriter.write(this.graph, options)
+  }
+
+  /**
+   * Returns the loaded molecule as a canonical SMILES, the same for every way of writing the molecule as SMILES.
+   *
+   * @returns {String} The canonical SMILES.
+   */
+  getCanonicalSmiles() {
+    // The graph of a MOL file has no stereo, it is drawn from the wedges. It is loaded again with the stereo of the
+    // wedges and coordinates
+    if (this.molecule) {
+      const drawer = new Drawer({})
+      drawer.initDraw(MolReader.toParseTree(this.molecule, true).tree)
+      return drawer.getCanonicalSmiles()
+    }
+
+    return SmilesWriter.write(this.graph, this.originalRings.map(ring => ring.members))
+  }
+
+  /**
+   * Returns the molecular descriptors of the loaded molecule, e.g. its mass, charge and ring counts.
+   *
+   * @returns {Object} A map mapping the descriptor names to their values.
+   */
+  getDescriptors() {
+    return this.descriptors
+  }
+
   /**
    * Returns the molecular formula of the loaded molecule as a string.
    *
@@ -214,11 +371,12 @@ class Drawer {
     // Initialize element count
     for (let i = 0; i < this.graph.vertices.length; i++) {
       const atom = this.graph.vertices[i].value
+      const element = Elements.normalize(atom.element)
 
-      if (counts.has(atom.element)) {
-        counts.set(atom.element, counts.get(atom.element) + 1)
+      if (counts.has(element)) {
+        counts.set(element, counts.get(element) + 1)
       } else {
-        counts.set(atom.element, 1)
+        counts.set(element, 1)
       }
 
       // Hydrogens attached to a chiral center were added as vertices,
@@ -231,15 +389,11 @@ class Drawer {
         }
       }
 
-      // Add the implicit hydrogens according to valency, exclude
+      // Add the implicit hydrogens according to the default valences, exclude
       // bracket atoms as they were handled and always have the number
       // of hydrogens specified explicitly
       if (!atom.bracket) {
-        let nHydrogens = Atom.maxBonds[atom.element] - atom.bondCount
-
-        if (atom.isPartOfAromaticRing) {
-          nHydrogens--
-        }
+        const nHydrogens = atom.getHydrogenCount()
 
         if (counts.has('H')) {
           counts.set('H', counts.get('H') + nHydrogens)
@@ -255,13 +409,15 @@ class Drawer {
       counts.delete('C')
     }
 
-    if (counts.has('H')) {
+    // Molecules without any hydrogens still have a count of 0, e.g. BF3
+    if (counts.get('H')) {
       const count = counts.get('H')
       molecularFormula += 'H' + (count > 1 ? count : '')
-      counts.delete('H')
     }
 
-    const elements = Object.keys(Atom.atomicNumbers).sort()
+    counts.delete('H')
+
+    const elements = Elements.symbols.sort()
 
     elements.map(e => {
       if (counts.has(e)) {
@@ -402,6 +558,26 @@ class Drawer {
     return true
   }
 
+  /**
+   * Check whether or not all aromatic bonds of a ring have a bond type in the Kekulé structure.
+   *
+   * @param {Ring} ring A ring.
+   * @returns {Boolean} A boolean indicating whether or not the ring can be drawn with alternating single and double bonds.
+   */
+  isRingKekulized(ring) {
+    for (let i = 0; i < ring.members.length; i++) {
+      for (let j = i + 1; j < ring.members.length; j++) {
+        const edge = this.graph.getEdge(ring.members[i], ring.members[j])
+
+        if (edge && edge.isPartOfAromaticRing && edge.weight === 1 && edge.kekuleBondType === null) {
+          return false
+        }
+      }
+    }
+
+    return true
+  }
+
   /**
    * Get the normals of an edge.
    *
@@ -598,19 +774,21 @@ class Drawer {
         // if the other ringbond id has already been discovered,
         // create a bond between the two atoms.
         if (!openBonds.has(ringbondId)) {
-          openBonds.set(ringbondId, [vertex.id, ringbondBond])
+          openBonds.set(ringbondId, [vertex.id, ringbondBond, j])
         } else {
           const sourceVertexId = vertex.id
           const targetVertexId = openBonds.get(ringbondId)[0]
           const targetRingbondBond = openBonds.get(ringbondId)[1]
+          const targetRingbondIndex = openBonds.get(ringbondId)[2]
           const edge = new Edge(sourceVertexId, targetVertexId, 1)
           edge.setBondType(targetRingbondBond || ringbondBond || '-')
+          edge.ringbondSourceId = targetRingbondBond ? targetVertexId : sourceVertexId
           const edgeId = this.graph.addEdge(edge)
           const targetVertex = this.graph.vertices[targetVertexId]
 
           vertex.addRingbondChild(targetVertexId, j)
           vertex.value.addNeighbouringElement(targetVertex.value.element)
-          targetVertex.addRingbondChild(sourceVertexId, j)
+          targetVertex.addRingbondChild(sourceVertexId, targetRingbondIndex)
           targetVertex.value.addNeighbouringElement(vertex.value.element)
           vertex.edges.push(edgeId)
           targetVertex.edges.push(edgeId)
@@ -2419,11 +2597,10 @@ class Drawer {
 
         neighbour.value.isDrawn = false
 
-        let hydrogens = Atom.maxBonds[neighbour.value.element] - neighbour.value.bondCount
+        const hydrogens = neighbour.value.getHydrogenCount()
         let charge = ''
 
         if (neighbour.value.bracket) {
-          hydrogens = neighbour.value.bracket.hcount
           charge = neighbour.value.bracket.charge || 0
         }
 
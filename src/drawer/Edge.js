@@ -9,6 +9,8 @@
  * @property {Number} weight The weight of this edge. That is, the degree of the bond (single bond = 1, double bond = 2, etc).
  * @property {String} [bondType='-'] The bond type of this edge.
  * @property {Boolean} [isPartOfAromaticRing=false] Whether or not this edge is part of an aromatic ring.
+ * @property {(String|null)} [kekuleBondType=null] The bond type ('-' or '=') of this aromatic ring bond in the Kekulé structure, null if it is not an aromatic ring bond or its system could not be kekulized.
+ * @property {(Number|null)} [ringbondSourceId=null] The id of the vertex whose ring bond digit the bond type of this ring closure was taken from, null if the edge is not a ring closure.
  * @property {Boolean} [center=false] Wheter or not the bond is centered. For example, this affects straight double bonds.
  * @property {String} [wedge=''] Wedge direction. Either '', 'up' or 'down'
  */
@@ -27,12 +29,14 @@ class Edge {
     this.weight = weight
     this.bondType = '-'
     this.isPartOfAromaticRing = false
+    this.kekuleBondType = null
+    this.ringbondSourceId = null
     this.center = false
     this.wedge = ''
   }
 
   /**
-   * An object mapping the bond type to the number of bonds.
+   * An object mapping the bond type to the number of bonds. '.' separates disconnected components, it bonds nothing.
    *
    * @returns {Object} The object containing the map.
    */
@@ -43,7 +47,8 @@ class Edge {
       '\\': 1,
       '=': 2,
       '#': 3,
-      $: 4
+      $: 4,
+      '.': 0
     }
   }
 
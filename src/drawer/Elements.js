@@ -0,0 +1,193 @@
+// @ts-check
+
+// The elements in order of their atomic numbers: symbol, standard atomic weight, mass of the most abundant isotope,
+// Jmol (CPK) color and default valences. Elements without stable isotopes have the mass number of their longest-lived
+// isotope as atomic weight. Jmol has no colors after meitnerium, those elements get its color for unknown atoms.
+// The default valences of the organic subset follow OpenSMILES, the others are used for atoms from MOL files, which do
+// not state their hydrogens. Metals have none.
+const data = [
+  ['H', 1.008, 1.00782503207, '#ffffff', [1]],
+  ['He', 4.002602, 4.00260325415, '#d9ffff'],
+  ['Li', 6.94, 7.0160034366, '#cc80ff'],
+  ['Be', 9.0121831, 9.012183065, '#c2ff00'],
+  ['B', 10.81, 11.00930536, '#ffb5b5', [3]],
+  ['C', 12.011, 12, '#909090', [4]],
+  ['N', 14.007, 14.0030740048, '#3050f8', [3, 5]],
+  ['O', 15.999, 15.99491461957, '#ff0d0d', [2]],
+  ['F', 18.998403163, 18.99840316273, '#90e050', [1]],
+  ['Ne', 20.1797, 19.9924401762, '#b3e3f5'],
+  ['Na', 22.98976928, 22.989769282, '#ab5cf2'],
+  ['Mg', 24.305, 23.985041697, '#8aff00'],
+  ['Al', 26.9815385, 26.98153853, '#bfa6a6', [3]],
+  ['Si', 28.085, 27.97692653465, '#f0c8a0', [4]],
+  ['P', 30.973761998, 30.97376199842, '#ff8000', [3, 5]],
+  ['S', 32.06, 31.9720711744, '#ffff30', [2, 4, 6]],
+  ['Cl', 35.45, 34.968852682, '#1ff01f', [1]],
+  ['Ar', 39.948, 39.9623831237, '#80d1e3'],
+  ['K', 39.0983, 38.9637064864, '#8f40d4'],
+  ['Ca', 40.078, 39.962590863, '#3dff00'],
+  ['Sc', 44.955908, 44.95590828, '#e6e6e6'],
+  ['Ti', 47.867, 47.94794198, '#bfc2c7'],
+  ['V', 50.9415, 50.94395704, '#a6a6ab'],
+  ['Cr', 51.9961, 51.94050623, '#8a99c7'],
+  ['Mn', 54.938044, 54.93804391, '#9c7ac7'],
+  ['Fe', 55.845, 55.93493633, '#e06633'],
+  ['Co', 58.933194, 58.93319429, '#f090a0'],
+  ['Ni', 58.6934, 57.93534241, '#50d050'],
+  ['Cu', 63.546, 62.92959772, '#c88033'],
+  ['Zn', 65.38, 63.92914201, '#7d80b0'],
+  ['Ga', 69.723, 68.9255735, '#c28f8f'],
+  ['Ge', 72.63, 73.921177761, '#668f8f', [4]],
+  ['As', 74.921595, 74.92159457, '#bd80e3', [3, 5]],
+  ['Se', 78.971, 79.9165218, '#ffa100', [2, 4, 6]],
+  ['Br', 79.904, 78.9183376, '#a62929', [1]],
+  ['Kr', 83.798, 83.9114977282, '#5cb8d1'],
+  ['Rb', 85.4678, 84.9117897379, '#702eb0'],
+  ['Sr', 87.62, 87.9056125, '#00ff00'],
+  ['Y', 88.90584, 88.9058403, '#94ffff'],
+  ['Zr', 91.224, 89.9046977, '#94e0e0'],
+  ['Nb', 92.90637, 92.906373, '#73c2c9'],
+  ['Mo', 95.95, 97.90540482, '#54b5b5'],
+  ['Tc', 98, 97.9072124, '#3b9e9e'],
+  ['Ru', 101.07, 101.9043441, '#248f8f'],
+  ['Rh', 102.9055, 102.905498, '#0a7d8c'],
+  ['Pd', 106.42, 105.9034804, '#006985'],
+  ['Ag', 107.8682, 106.9050916, '#c0c0c0'],
+  ['Cd', 112.414, 113.90336509, '#ffd98f'],
+  ['In', 114.818, 114.903878776, '#a67573'],
+  ['Sn', 118.71, 119.90220163, '#668080'],
+  ['Sb', 121.76, 120.903812, '#9e63b5', [3, 5]],
+  ['Te', 127.6, 129.906222748, '#d47a00', [2, 4, 6]],
+  ['I', 126.90447, 126.9044719, '#940094', [1]],
+  ['Xe', 131.293, 131.9041550856, '#429eb0'],
+  ['Cs', 132.90545196, 132.905451961, '#57178f'],
+  ['Ba', 137.327, 137.905247, '#00c900'],
+  ['La', 138.90547, 138.9063563, '#70d4ff'],
+  ['Ce', 140.116, 139.9054431, '#ffffc7'],
+  ['Pr', 140.90766, 140.9076576, '#d9ffc7'],
+  ['Nd', 144.242, 141.907729, '#c7ffc7'],
+  ['Pm', 145, 144.9127559, '#a3ffc7'],
+  ['Sm', 150.36, 151.9197397, '#8fffc7'],
+  ['Eu', 151.964, 152.921238, '#61ffc7'],
+  ['Gd', 157.25, 157.9241123, '#45ffc7'],
+  ['Tb', 158.92535, 158.9253547, '#30ffc7'],
+  ['Dy', 162.5, 163.9291819, '#1fffc7'],
+  ['Ho', 164.93033, 164.9303288, '#00ff9c'],
+  ['Er', 167.259, 165.9302995, '#00e675'],
+  ['Tm', 168.93422, 168.9342179, '#00d452'],
+  ['Yb', 173.045, 173.9388664, '#00bf38'],
+  ['Lu', 174.9668, 174.9407752, '#00ab24'],
+  ['Hf', 178.49, 179.946557, '#4dc2ff'],
+  ['Ta', 180.94788, 180.9479958, '#4da6ff'],
+  ['W', 183.84, 183.95093092, '#2194d6'],
+  ['Re', 186.207, 186.9557501, '#267dab'],
+  ['Os', 190.23, 191.961477, '#266696'],
+  ['Ir', 192.217, 192.9629216, '#175487'],
+  ['Pt', 195.084, 194.9647917, '#d0d0e0'],
+  ['Au', 196.966569, 196.96656879, '#ffd123'],
+  ['Hg', 200.592, 201.9706434, '#b8b8d0'],
+  ['Tl', 204.38, 204.9744278, '#a6544d'],
+  ['Pb', 207.2, 207.9766525, '#575961'],
+  ['Bi', 208.9804, 208.9803991, '#9e4fb5'],
+  ['Po', 209, 208.9824308, '#ab5c00'],
+  ['At', 210, 209.9871479, '#754f45', [1]],
+  ['Rn', 222, 222.0175782, '#428296'],
+  ['Fr', 223, 223.019736, '#420066'],
+  ['Ra', 226, 226.0254103, '#007d00'],
+  ['Ac', 227, 227.0277523, '#70abfa'],
+  ['Th', 232.0377, 232.0380558, '#00baff'],
+  ['Pa', 231.03588, 231.0358842, '#00a1ff'],
+  ['U', 238.02891, 238.0507884, '#008fff'],
+  ['Np', 237, 237.0481736, '#0080ff'],
+  ['Pu', 244, 244.0642053, '#006bff'],
+  ['Am', 243, 243.0613813, '#545cf2'],
+  ['Cm', 247, 247.0703541, '#785ce3'],
+  ['Bk', 247, 247.0703073, '#8a4fe3'],
+  ['Cf', 251, 251.0795886, '#a136d4'],
+  ['Es', 252, 252.08298, '#b31fd4'],
+  ['Fm', 257, 257.0951061, '#b31fba'],
+  ['Md', 258, 258.0984315, '#b30da6'],
+  ['No', 259, 259.10103, '#bd0d87'],
+  ['Lr', 266, 266.11983, '#c70066'],
+  ['Rf', 267, 267.12179, '#cc0059'],
+  ['Db', 268, 268.12567, '#d1004f'],
+  ['Sg', 269, 269.12863, '#d90045'],
+  ['Bh', 270, 270.13336, '#e00038'],
+  ['Hs', 269, 269.13375, '#e6002e'],
+  ['Mt', 278, 278.15631, '#eb0026'],
+  ['Ds', 281, 281.16451, '#ff1493'],
+  ['Rg', 282, 282.16912, '#ff1493'],
+  ['Cn', 285, 285.17712, '#ff1493'],
+  ['Nh', 286, 286.18221, '#ff1493'],
+  ['Fl', 289, 289.19042, '#ff1493'],
+  ['Mc', 290, 290.19598, '#ff1493'],
+  ['Lv', 293, 293.20449, '#ff1493'],
+  ['Ts', 294, 294.21046, '#ff1493'],
+  ['Og', 294, 294.21392, '#ff1493']
+]
+
+const elements = new Map(data.map(([symbol, mass, monoisotopicMass, color, valences = []], index) => [
+  symbol,
+  { symbol, atomicNumber: index + 1, mass, monoisotopicMass, color, valences }
+]))
+
+/**
+ * A static class holding the data of the chemical elements.
+ */
+class Elements {
+  /**
+   * The symbols of all elements in order of their atomic numbers.
+   */
+  static get symbols() {
+    return Array.from(elements.keys())
+  }
+
+  /**
+   * The element symbols that are written in lower case when the atom is part of an aromatic ring.
+   */
+  static get aromaticSymbols() {
+    return ['b', 'c', 'n', 'o', 'p', 's', 'se', 'as']
+  }
+
+  /**
+   * Returns an element symbol as it is written outside of aromatic rings, e.g. Se for se.
+   *
+   * @param {String} element An element symbol.
+   * @returns {String} The element symbol starting with an upper case letter.
+   */
+  static normalize(element) {
+    return element.charAt(0).toUpperCase() + element.slice(1)
+  }
+
+  /**
+   * Returns the data of an element.
+   *
+   * @param {String} element An element symbol, aromatic symbols are accepted.
+   * @returns {(Object|undefined)} The element { symbol, atomicNumber, mass, monoisotopicMass, color, valences } or undefined if the symbol is unknown.
+   */
+  static get(element) {
+    return elements.get(Elements.normalize(element))
+  }
+
+  /**
+   * Returns a map mapping every element symbol, including the aromatic ones, to a property of the element.
+   *
+   * @param {String} property The name of the property, e.g. mass.
+   * @returns {Object} A map mapping element symbols to the values of the property.
+   */
+  static map(property) {
+    const map = {}
+
+    for (const [symbol, element] of elements) {
+      map[symbol] = element[property]
+
+      if (Elements.aromaticSymbols.includes(symbol.toLowerCase())) {
+        map[symbol.toLowerCase()] = element[property]
+      }
+    }
+
+    return map
+  }
+}
+
+module.exports = Elements
@@ -0,0 +1,249 @@
+// @ts-check
+const Elements = require('./Elements')
+const Valence = require('./Valence')
+
+/**
+ * A static class assigning alternating single and double bonds to the aromatic systems of a molecular graph.
+ * Every aromatic atom with a free valence (e.g. c, pyridine-like n, [n+], [o+]) gets exactly one double bond to
+ * another aromatic atom of the same system. Atoms without a free valence ([nH], o, s, substituted n, [c-]) get none.
+ * Nitrogen-like atoms written without brackets (n, p, as) may also stay without double bond, they then carry a
+ * hydrogen, which is how pyrrole-type nitrogens written as plain n are inferred.
+ */
+class Kekulizer {
+  /**
+   * Elements which, when written without brackets, may either have a double bond or a hydrogen.
+   */
+  static get ambiguousElements() {
+    return ['N', 'P', 'As']
+  }
+
+  /**
+   * The maximum number of search steps per aromatic system, after which the best assignment found so far is used.
+   */
+  static get maxSteps() {
+    return 100000
+  }
+
+  /**
+   * Kekulizes all aromatic systems of a graph. Sets kekuleBondType on the ring bonds between aromatic atoms
+   * and aromaticDoubleBonds on the aromatic atoms.
+   *
+   * @param {Object} graph A molecular graph.
+   * @returns {Boolean} A boolean indicating whether or not all aromatic systems could be kekulized.
+   */
+  static kekulize(graph) {
+    const bridges = new Set(graph.getBridges().map(([a, b]) => graph.getEdge(a, b).id))
+    // Explicit double and triple bonds between aromatic atoms are kept, they saturate both atoms
+    const edges = graph.edges.filter(edge => edge.isPartOfAromaticRing && edge.weight === 1 && !bridges.has(edge.id))
+    let success = true
+
+    for (const vertex of graph.vertices) {
+      vertex.value.aromaticDoubleBonds = 0
+    }
+
+    for (const edge of graph.edges) {
+      edge.kekuleBondType = null
+    }
+
+    for (const system of Kekulizer.getSystems(graph, edges)) {
+      success = Kekulizer.kekulizeSystem(graph, system) && success
+    }
+
+    return success
+  }
+
+  /**
+   * Returns the aromatic systems of a graph, the connected components of its aromatic ring bonds.
+   *
+   * @param {Object} graph A molecular graph.
+   * @param {Object[]} edges The aromatic ring bonds.
+   * @returns {Object[]} An array of systems { vertexIds: Number[], edges: Edge[] }.
+   */
+  static getSystems(graph, edges) {
+    const parent = graph.vertices.map((_, i) => i)
+    const find = i => parent[i] === i ? i : (parent[i] = find(parent[i]))
+
+    for (const edge of edges) {
+      parent[find(edge.sourceId)] = find(edge.targetId)
+    }
+
+    const systems = new Map()
+
+    // Aromatic atoms outside of rings form systems of their own, they can never get a double bond
+    for (const vertex of graph.vertices) {
+      if (vertex.value.isPartOfAromaticRing && !systems.has(find(vertex.id))) {
+        systems.set(find(vertex.id), { vertexIds: [], edges: [] })
+      }
+
+      if (vertex.value.isPartOfAromaticRing) {
+        systems.get(find(vertex.id)).vertexIds.push(vertex.id)
+      }
+    }
+
+    for (const edge of edges) {
+      systems.get(find(edge.sourceId)).edges.push(edge)
+    }
+
+    return Array.from(systems.values())
+  }
+
+  /**
+   * Returns the valence of an atom that is left for a double bond within its aromatic system.
+   *
+   * @param {Object} graph A molecular graph.
+   * @param {Object} vertex A vertex.
+   * @param {Set<Object>} aromaticEdges The aromatic ring bonds of the system, they count as single bonds.
+   * @returns {Number} The free valence.
+   */
+  static getFreeValence(graph, vertex, aromaticEdges) {
+    const atom = vertex.value
+    const charge = atom.bracket ? atom.bracket.charge || 0 : 0
+    const valences = Valence.getValences(atom.element, charge)
+
+    let used = atom.bracket ? atom.bracket.hcount || 0 : 0
+
+    for (const edge of graph.edges) {
+      if (edge.sourceId === vertex.id || edge.targetId === vertex.id) {
+        used += aromaticEdges.has(edge) ? 1 : edge.weight
+      }
+    }
+
+    const valence = valences.find(v => v >= used)
+    return valence === undefined ? 0 : valence - used
+  }
+
+  /**
+   * Kekulizes one aromatic system by searching a matching of its atoms with a free valence.
+   *
+   * @param {Object} graph A molecular graph.
+   * @param {Object} system An aromatic system { vertexIds: Number[], edges: Edge[] }.
+   * @returns {Boolean} A boolean indicating whether or not the system could be kekulized.
+   */
+  static kekulizeSystem(graph, system) {
+    const aromaticEdges = new Set(system.edges)
+    const required = new Set()
+    const optional = new Set()
+
+    for (const vertexId of system.vertexIds) {
+      const vertex = graph.vertices[vertexId]
+
+      if (Kekulizer.getFreeValence(graph, vertex, aromaticEdges) < 1) {
+        continue
+      }
+
+      const isAmbiguous = !vertex.value.bracket && Kekulizer.ambiguousElements.includes(Elements.normalize(vertex.value.element))
+
+      ;(isAmbiguous ? optional : required).add(vertexId)
+    }
+
+    const candidates = new Map([...required, ...optional].map(id => [id, []]))
+
+    for (const edge of system.edges) {
+      if (candidates.has(edge.sourceId) && candidates.has(edge.targetId)) {
+        candidates.get(edge.sourceId).push({ vertexId: edge.targetId, edge })
+        candidates.get(edge.targetId).push({ vertexId: edge.sourceId, edge })
+      }
+    }
+
+    const matching = Kekulizer.findMatching(required, optional, candidates)
+
+    if (matching === null) {
+      // As if every atom with a free valence had its double bond, so that hydrogens are counted as before
+      for (const vertexId of [...required, ...optional]) {
+        graph.vertices[vertexId].value.aromaticDoubleBonds = 1
+      }
+
+      return false
+    }
+
+    for (const edge of system.edges) {
+      edge.kekuleBondType = matching.has(edge) ? '=' : '-'
+    }
+
+    for (const edge of matching) {
+      graph.vertices[edge.sourceId].value.aromaticDoubleBonds = 1
+      graph.vertices[edge.targetId].value.aromaticDoubleBonds = 1
+    }
+
+    return true
+  }
+
+  /**
+   * Searches a set of double bonds that covers all required atoms and as many optional atoms as possible.
+   * Atoms are matched most constrained first, which keeps the backtracking short for molecules.
+   *
+   * @param {Set<Number>} required The ids of the atoms that must get a double bond.
+   * @param {Set<Number>} optional The ids of the atoms that should get a double bond.
+   * @param {Map<Number, Object[]>} candidates A map mapping atom ids to their possible partners { vertexId, edge }.
+   * @returns {(Set<Object>|null)} The edges that become double bonds, or null if there is no such set.
+   */
+  static findMatching(required, optional, candidates) {
+    const matched = new Map()
+    let best = null
+    let bestUnmatched = Infinity
+    let steps = 0
+
+    const freePartners = id => candidates.get(id).filter(c => !matched.has(c.vertexId))
+
+    const search = unmatched => {
+      if (++steps > Kekulizer.maxSteps || bestUnmatched === 0) {
+        return
+      }
+
+      let next = null
+      let partners = null
+
+      for (const id of required) {
+        if (!matched.has(id)) {
+          const free = freePartners(id)
+
+          if (free.length === 0) {
+            return
+          }
+
+          if (next === null || free.length < partners.length) {
+            next = id
+            partners = free
+          }
+        }
+      }
+
+      // Optional atoms are only considered once all required atoms have a partner
+      const isOptional = next === null
+      if (isOptional) {
+        next = [...optional].find(id => !matched.has(id) && !unmatched.has(id))
+
+        if (next === undefined) {
+          if (unmatched.size < bestUnmatched) {
+            best = new Set([...matched.values()])
+            bestUnmatched = unmatched.size
+          }
+
+          return
+        }
+
+        partners = freePartners(next).filter(c => optional.has(c.vertexId))
+      }
+
+      for (const { vertexId, edge } of partners) {
+        matched.set(next, edge)
+        matched.set(vertexId, edge)
+        search(unmatched)
+        matched.delete(next)
+        matched.delete(vertexId)
+      }
+
+      if (isOptional) {
+        unmatched.add(next)
+        search(unmatched)
+        unmatched.delete(next)
+      }
+    }
+
+    search(new Set())
+
+    return best
+  }
+}
+
+module.exports = Kekulizer
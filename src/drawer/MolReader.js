@@ -0,0 +1,686 @@
+// @ts-check
+const Valence = require('./Valence')
+const SmilesWriter = require('./SmilesWriter')
+
+/**
+ * A static class reading MDL MOL files (V2000 and V3000) and SD files. Molecules are converted into a tree with the
+ * shape of a SMILES parse tree, so that they can be loaded into a Graph and drawn like a parsed SMILES.
+ */
+class MolReader {
+  /**
+   * A map mapping the charge field of the V2000 atom block to charges.
+   */
+  static get v2000Charges() {
+    return {
+      1: 3,
+      2: 2,
+      3: 1,
+      5: -1,
+      6: -2,
+      7: -3
+    }
+  }
+
+  /**
+   * Elements that can be written without brackets in SMILES.
+   */
+  static get organicSubset() {
+    return ['B', 'C', 'N', 'O', 'P', 'S', 'F', 'Cl', 'Br', 'I']
+  }
+
+  /**
+   * Elements that can be aromatic in SMILES.
+   */
+  static get aromaticElements() {
+    return ['B', 'C', 'N', 'O', 'P', 'S', 'Se', 'As']
+  }
+
+  /**
+   * The size of the largest ring whose double bonds cannot have a configuration, as in SMILES.
+   */
+  static get maxRigidRingSize() {
+    return 7
+  }
+
+  /**
+   * Returns whether or not a string is a MOL file.
+   *
+   * @param {String} text A string.
+   * @returns {Boolean} A boolean indicating whether or not the string is a MOL file.
+   */
+  static isMolBlock(text) {
+    return typeof text === 'string' && /^M {2}END\s*$/m.test(text) && /V[23]000/.test(text)
+  }
+
+  /**
+   * Returns whether or not an object is a molecule read by MolReader.read().
+   *
+   * @param {Object} data An object.
+   * @returns {Boolean} A boolean indicating whether or not the object is a molecule.
+   */
+  static isMolecule(data) {
+    return !!data && Array.isArray(data.atoms) && Array.isArray(data.bonds)
+  }
+
+  /**
+   * Reads a MOL file.
+   *
+   * @param {String} molBlock A MOL file.
+   * @returns {Object} The molecule containing name, comment, atoms and bonds. Atom indices start at 1.
+   */
+  static read(molBlock) {
+    const lines = molBlock.replace(/\r/g, '').split('\n')
+
+    if (lines.length < 4) {
+      throw new Error('a MOL file needs at least a header and a counts line')
+    }
+
+    const molecule = lines[3].includes('V3000') ? MolReader.readV3000(lines) : MolReader.readV2000(lines)
+
+    molecule.name = lines[0].trim()
+    molecule.comment = lines[2].trim()
+
+    return molecule
+  }
+
+  /**
+   * Reads the connection table of a V2000 MOL file.
+   *
+   * @param {String[]} lines The lines of the MOL file.
+   * @returns {Object} The atoms and bonds.
+   */
+  static readV2000(lines) {
+    const int = (line, start, end) => parseInt(line.slice(start, end), 10) || 0
+    const atomCount = int(lines[3], 0, 3)
+    const bondCount = int(lines[3], 3, 6)
+
+    const atoms = []
+    const bonds = []
+
+    for (let i = 0; i < atomCount; i++) {
+      const line = lines[4 + i]
+
+      if (line === undefined) {
+        throw new Error(`expected ${atomCount} atoms but the atom block ends after ${i}`)
+      }
+
+      atoms.push({
+        index: i + 1,
+        element: line.slice(31, 34).trim(),
+        x: parseFloat(line.slice(0, 10)),
+        y: parseFloat(line.slice(10, 20)),
+        charge: MolReader.v2000Charges[int(line, 36, 39)] || 0,
+        isotope: 0,
+        hcount: null
+      })
+    }
+
+    for (let i = 0; i < bondCount; i++) {
+      const line = lines[4 + atomCount + i]
+
+      if (line === undefined) {
+        throw new Error(`expected ${bondCount} bonds but the bond block ends after ${i}`)
+      }
+
+      bonds.push({
+        index: i + 1,
+        source: int(line, 0, 3),
+        target: int(line, 3, 6),
+        type: int(line, 6, 9),
+        // Stereo "either" (4) is drawn as a plain bond
+        wedge: { 1: 'up', 6: 'down' }[int(line, 9, 12)] || '',
+        // Double bonds drawn crossed (3) have no configuration
+        either: int(line, 6, 9) === 2 && int(line, 9, 12) === 3
+      })
+    }
+
+    let chargesReset = false
+    let isotopesReset = false
+
+    for (const line of lines.slice(4 + atomCount + bondCount)) {
+      if (line.startsWith('M  END')) {
+        break
+      }
+
+      const key = line.slice(3, 6)
+
+      if (key !== 'CHG' && key !== 'ISO') {
+        continue
+      }
+
+      // Charges and isotopes in the properties block supersede those of the atom block
+      if (key === 'CHG' && !chargesReset) {
+        atoms.forEach(atom => { atom.charge = 0 })
+        chargesReset = true
+      }
+
+      if (key === 'ISO' && !isotopesReset) {
+        atoms.forEach(atom => { atom.isotope = 0 })
+        isotopesReset = true
+      }
+
+      const values = line.slice(6).trim().split(/\s+/).map(n => parseInt(n, 10))
+
+      for (let i = 1; i < values.length - 1; i += 2) {
+        const atom = atoms[values[i] - 1]
+
+        if (key === 'CHG') {
+          atom.charge = values[i + 1]
+        } else {
+          atom.isotope = values[i + 1]
+        }
+      }
+    }
+
+    return { atoms, bonds }
+  }
+
+  /**
+   * Reads the connection table of a V3000 MOL file.
+   *
+   * @param {String[]} lines The lines of the MOL file.
+   * @returns {Object} The atoms and bonds.
+   */
+  static readV3000(lines) {
+    const atoms = []
+    const bonds = []
+    const entries = []
+
+    // Lines ending with '-' are continued on the next line
+    for (const line of lines.slice(4)) {
+      if (!line.startsWith('M  V30 ')) {
+        continue
+      }
+
+      const content = line.slice(7)
+      const previous = entries.length ? entries[entries.length - 1] : null
+
+      if (previous !== null && previous.endsWith('-')) {
+        entries[entries.length - 1] = previous.slice(0, -1) + content
+      } else {
+        entries.push(content)
+      }
+    }
+
+    let block = null
+
+    for (const entry of entries) {
+      const fields = entry.trim().split(/\s+/)
+
+      if (fields[0] === 'BEGIN' || fields[0] === 'END') {
+        block = fields[0] === 'BEGIN' ? fields[1] : null
+        continue
+      }
+
+      const properties = {}
+
+      for (const field of fields) {
+        const [key, value] = field.split('=')
+
+        if (value !== undefined) {
+          properties[key] = parseInt(value, 10)
+        }
+      }
+
+      if (block === 'ATOM') {
+        atoms.push({
+          index: parseInt(fields[0], 10),
+          element: fields[1],
+          x: parseFloat(fields[2]),
+          y: parseFloat(fields[3]),
+          charge: properties.CHG || 0,
+          isotope: properties.MASS || 0,
+          // HCOUNT=-1 means no hydrogens
+          hcount: properties.HCOUNT === undefined ? null : Math.max(0, properties.HCOUNT)
+        })
+      }
+
+      if (block === 'BOND') {
+        bonds.push({
+          index: parseInt(fields[0], 10),
+          source: parseInt(fields[2], 10),
+          target: parseInt(fields[3], 10),
+          type: parseInt(fields[1], 10),
+          wedge: { 1: 'up', 3: 'down' }[properties.CFG] || '',
+          either: parseInt(fields[1], 10) === 2 && properties.CFG === 2
+        })
+      }
+    }
+
+    // Atoms are referenced by their index, which does not have to be their position in the atom block
+    const positions = new Map(atoms.map((atom, i) => [atom.index, i + 1]))
+
+    atoms.forEach((atom, i) => { atom.index = i + 1 })
+    bonds.forEach(bond => {
+      bond.source = positions.get(bond.source)
+      bond.target = positions.get(bond.target)
+    })
+
+    return { atoms, bonds }
+  }
+
+  /**
+   * Splits an SD file into its records.
+   *
+   * @param {String} text An SD file.
+   * @returns {Object[]} The records containing the MOL file as molBlock and the data items as properties.
+   */
+  static splitSdf(text) {
+    return text.replace(/\r/g, '').split(/^\$\$\$\$\s*$/m)
+      .filter(record => record.trim().length)
+      .map(record => {
+        const end = record.search(/^M {2}END\s*$/m)
+
+        if (end === -1) {
+          throw new Error('SD file record without \'M  END\'')
+        }
+
+        const molBlock = record.slice(0, end).replace(/^\n/, '') + 'M  END\n'
+        const properties = {}
+
+        for (const [, key, value] of record.slice(end).matchAll(/^>.*<([^>]+)>.*\n([\s\S]*?)(?=\n\s*\n|\n>|$)/gm)) {
+          properties[key] = value.trim()
+        }
+
+        return { molBlock, properties }
+      })
+  }
+
+  /**
+   * Reads all molecules of an SD file.
+   *
+   * @param {String} text An SD file.
+   * @returns {Object[]} The records containing the molecule and the data items as properties.
+   */
+  static readSdf(text) {
+    return MolReader.splitSdf(text).map(({ molBlock, properties }) => ({ molecule: MolReader.read(molBlock), properties }))
+  }
+
+  /**
+   * Returns the bond symbol of a bond in SMILES.
+   *
+   * @param {Object} bond A bond.
+   * @returns {String} The SMILES bond symbol.
+   */
+  static getBondSymbol(bond) {
+    // Aromatic (4) and any (8) bonds are single bonds between aromatic atoms, there is no symbol for "any"
+    return { 2: '=', 3: '#' }[bond.type] || '-'
+  }
+
+  /**
+   * Returns the number of implicit hydrogens of an atom.
+   *
+   * @param {Object} atom An atom.
+   * @param {Object[]} bonds The bonds of the atom.
+   * @returns {Number} The number of implicit hydrogens.
+   */
+  static getHydrogenCount(atom, bonds) {
+    if (atom.hcount !== null) {
+      return atom.hcount
+    }
+
+    const bondOrder = bonds.reduce((sum, bond) => sum + ({ 1: 1, 2: 2, 3: 3, 4: 1.5 }[bond.type] || 1), 0)
+
+    return Valence.getImplicitHydrogens(atom.element, Math.ceil(bondOrder), atom.charge)
+  }
+
+  /**
+   * Returns the atom of a parse tree node, either as element or as bracket atom.
+   *
+   * @param {Object} atom An atom.
+   * @param {Object[]} bonds The bonds of the atom.
+   * @returns {(String|Object)} The element or the bracket atom.
+   */
+  static getTreeAtom(atom, bonds) {
+    const aromatic = MolReader.aromaticElements.includes(atom.element) && bonds.some(bond => bond.type === 4)
+    const element = aromatic ? atom.element.toLowerCase() : atom.element
+    const isBracket = atom.charge !== 0 || atom.isotope > 0 || atom.hcount !== null ||
+      !MolReader.organicSubset.includes(atom.element) || (aromatic && !['b', 'c', 'n', 'o', 'p', 's'].includes(element))
+
+    if (!isBracket) {
+      return element
+    }
+
+    return {
+      isotope: atom.isotope || null,
+      element: element,
+      chirality: null,
+      hcount: MolReader.getHydrogenCount(atom, bonds),
+      charge: atom.charge || null,
+      class: null
+    }
+  }
+
+  /**
+   * Returns whether or not a bond is part of a ring of at most the given size.
+   *
+   * @param {Object} bond A bond.
+   * @param {Object[][]} atomBonds The bonds of every atom.
+   * @param {Number} size The largest ring size.
+   * @returns {Boolean} A boolean indicating whether or not the bond is part of such a ring.
+   */
+  static isInRing(bond, atomBonds, size) {
+    const start = bond.source - 1
+    const end = bond.target - 1
+    let frontier = [start]
+    const seen = new Set(frontier)
+
+    // Paths from one end to the other without the bond itself, one atom less than the ring size
+    for (let length = 1; length < size && frontier.length; length++) {
+      const next = []
+
+      for (const i of frontier) {
+        for (const other of atomBonds[i]) {
+          const j = other.source - 1 === i ? other.target - 1 : other.source - 1
+
+          if (other === bond || seen.has(j)) {
+            continue
+          }
+
+          if (j === end) {
+            return true
+          }
+
+          seen.add(j)
+          next.push(j)
+        }
+      }
+
+      frontier = next
+    }
+
+    return false
+  }
+
+  /**
+   * Returns the tetrahedral chirality of an atom from the wedges starting at it and the 2D coordinates. Neighbours
+   * get the height of their wedge, an implicit hydrogen points away from the others.
+   *
+   * @param {Object[]} atoms The atoms.
+   * @param {Number} i The index of the atom in the atoms.
+   * @param {Object[]} bonds The bonds of the atom.
+   * @param {(Number|null)[]} order The indices of the neighbours in the order of the parse tree, null for the hydrogen.
+   * @returns {(String|null)} @, @@ or null if the atom is not a stereocenter.
+   */
+  static getChirality(atoms, i, bonds, order) {
+    if (order.length !== 4 || order.filter(j => j === null).length > 1 || !bonds.some(bond => bond.wedge && bond.source - 1 === i)) {
+      return null
+    }
+
+    const vectors = new Map(bonds.map(bond => {
+      const j = bond.source - 1 === i ? bond.target - 1 : bond.source - 1
+      const length = Math.hypot(atoms[j].x - atoms[i].x, atoms[j].y - atoms[i].y) || 1
+      const z = bond.source - 1 === i ? { up: 1, down: -1 }[bond.wedge] || 0 : 0
+
+      return [j, [(atoms[j].x - atoms[i].x) / length, (atoms[j].y - atoms[i].y) / length, z]]
+    }))
+
+    const sum = [...vectors.values()].reduce((a, b) => a.map((value, k) => value + b[k]), [0, 0, 0])
+    vectors.set(null, sum.map(value => -value))
+
+    // Seen from the first neighbour, @ has the others counter-clockwise, which is a negative volume
+    const [p0, p1, p2, p3] = order.map(j => vectors.get(j))
+    const [a, b, c] = [p1, p2, p3].map(p => p.map((value, k) => value - p0[k]))
+    const volume = a[0] * (b[1] * c[2] - b[2] * c[1]) - a[1] * (b[0] * c[2] - b[2] * c[0]) + a[2] * (b[0] * c[1] - b[1] * c[0])
+
+    if (Math.abs(volume) < 1e-6) {
+      return null
+    }
+
+    return volume < 0 ? '@' : '@@'
+  }
+
+  /**
+   * Returns the / and \ bonds around the double bonds whose configuration the 2D coordinates show. Substituents on the
+   * same side of a double bond are both up or both down, a bond already directed by another double bond decides the
+   * others.
+   *
+   * @param {Object[]} atoms The atoms.
+   * @param {Object[]} bonds The bonds.
+   * @param {Object[][]} atomBonds The bonds of every atom.
+   * @param {Map<Number, Number>} firsts A map mapping bond indices to the index of the atom written before the bond.
+   * @returns {Map<Number, String>} A map mapping bond indices to their bond symbols.
+   */
+  static getDirections(atoms, bonds, atomBonds, firsts) {
+    const directions = new Map()
+
+    for (const bond of bonds) {
+      if (bond.type !== 2 || bond.either || MolReader.isInRing(bond, atomBonds, MolReader.maxRigidRingSize)) {
+        continue
+      }
+
+      const a = atoms[bond.source - 1]
+      const b = atoms[bond.target - 1]
+      const substituents = []
+
+      const isStereo = [bond.source - 1, bond.target - 1].every(i => {
+        const others = atomBonds[i].filter(other => other !== bond)
+        const sides = others.map(other => {
+          const atom = atoms[other.source - 1 === i ? other.target - 1 : other.source - 1]
+          const cross = (b.x - a.x) * (atom.y - atoms[i].y) - (b.y - a.y) * (atom.x - atoms[i].x)
+
+          return Math.abs(cross) < 1e-6 ? 0 : Math.sign(cross)
+        })
+
+        if (!others.length || others.length > 2 || others.some(other => other.type !== 1) || sides.includes(0) || (sides.length === 2 && sides[0] === sides[1])) {
+          return false
+        }
+
+        others.forEach((other, k) => substituents.push({ bond: other, id: i, side: sides[k] }))
+        return true
+      })
+
+      if (!isStereo) {
+        continue
+      }
+
+      const directed = substituents.find(({ bond }) => directions.has(bond.index)) || substituents[0]
+      const bondType = directions.get(directed.bond.index) || '/'
+      const flip = SmilesWriter.getUp(bondType, directed.id, firsts.get(directed.bond.index)) * directed.side
+
+      for (const { bond, id, side } of substituents) {
+        if (!directions.has(bond.index)) {
+          directions.set(bond.index, (flip * side === 1) === (id === firsts.get(bond.index)) ? '/' : '\\')
+        }
+      }
+    }
+
+    return directions
+  }
+
+  /**
+   * Converts a molecule into a tree with the shape of a SMILES parse tree. The tree is a depth-first spanning tree,
+   * bonds not part of it are added as ring bonds and disconnected components are joined with '.' bonds. With stereo,
+   * the tetrahedral parity is taken from the wedges and the double bond configurations from the coordinates. The
+   * hydrogens of stereocenters then become vertices of the graph, so such trees are not drawn.
+   *
+   * @param {Object} molecule A molecule read by MolReader.read().
+   * @param {Boolean} [stereo=false] Whether or not to add the stereo of the wedges and coordinates.
+   * @returns {Object} The parse tree as tree and an array mapping vertex ids to atom indices as atomIndices.
+   */
+  static toParseTree(molecule, stereo = false) {
+    const { atoms, bonds } = molecule
+
+    if (atoms.length === 0) {
+      throw new Error('the molecule does not contain any atoms')
+    }
+
+    const atomBonds = atoms.map(() => [])
+
+    for (const bond of bonds) {
+      atomBonds[bond.source - 1].push(bond)
+      atomBonds[bond.target - 1].push(bond)
+    }
+
+    const nodes = atoms.map((atom, i) => {
+      const treeAtom = MolReader.getTreeAtom(atom, atomBonds[i])
+
+      return {
+        atom: treeAtom,
+        isBracket: typeof treeAtom !== 'string',
+        branches: [],
+        branchCount: 0,
+        ringbonds: [],
+        ringbondCount: 0,
+        bond: '-',
+        next: null,
+        hasNext: false,
+        index: atom.index
+      }
+    })
+
+    const visited = new Uint8Array(atoms.length)
+    const usedBonds = new Set()
+    let ringbondId = 0
+
+    // The order of the neighbours in the graph: the parent, ring bond partners in digit order, branches and next
+    const neighbours = atoms.map(() => [])
+    const parents = atoms.map(() => null)
+    // Bond symbols are set once the tree is complete, a bond is written after the atom that is first in the graph
+    const setters = new Map()
+    const firsts = new Map()
+
+    const visit = (i) => {
+      visited[i] = 1
+      const children = []
+
+      for (const bond of atomBonds[i]) {
+        if (usedBonds.has(bond.index)) {
+          continue
+        }
+
+        usedBonds.add(bond.index)
+        const j = bond.source - 1 === i ? bond.target - 1 : bond.source - 1
+
+        if (visited[j]) {
+          // The graph takes the bond of a ring closure from the atom closing it, which is this one
+          const closing = { bond: MolReader.getBondSymbol(bond), id: ++ringbondId }
+          const opening = { bond: closing.bond, id: closing.id }
+
+          nodes[i].ringbonds.push(closing)
+          nodes[j].ringbonds.push(opening)
+          neighbours[i].push(j)
+          neighbours[j].push(i)
+          setters.set(bond.index, symbol => { closing.bond = opening.bond = symbol })
+          firsts.set(bond.index, i)
+          continue
+        }
+
+        neighbours[j].push(i)
+        parents[j] = i
+        visit(j)
+        children.push([j, bond])
+      }
+
+      neighbours[i].push(...children.map(([j]) => j))
+
+      // The last child continues the chain, all others are branches
+      const last = children.pop()
+
+      for (const [j, bond] of children) {
+        nodes[j].branchBond = MolReader.getBondSymbol(bond)
+        nodes[i].branches.push(nodes[j])
+        setters.set(bond.index, symbol => { nodes[j].branchBond = symbol })
+        firsts.set(bond.index, i)
+      }
+
+      if (last) {
+        nodes[i].bond = MolReader.getBondSymbol(last[1])
+        nodes[i].next = nodes[last[0]]
+        nodes[i].hasNext = true
+        setters.set(last[1].index, symbol => { nodes[i].bond = symbol })
+        firsts.set(last[1].index, i)
+      }
+
+      nodes[i].branchCount = nodes[i].branches.length
+    }
+
+    let tree = null
+    let tail = null
+
+    for (let i = 0; i < atoms.length; i++) {
+      if (visited[i]) {
+        continue
+      }
+
+      visit(i)
+
+      if (tail) {
+        tail.bond = '.'
+        tail.next = nodes[i]
+        tail.hasNext = true
+      } else {
+        tree = nodes[i]
+      }
+
+      tail = nodes[i]
+
+      while (tail.next) {
+        tail = tail.next
+      }
+    }
+
+    for (const node of nodes) {
+      node.ringbondCount = node.ringbonds.length
+    }
+
+    if (stereo) {
+      MolReader.addStereo(molecule, nodes, atomBonds, { neighbours, parents, setters, firsts })
+    }
+
+    // Vertex ids are assigned in the order the graph visits the tree: the atom, its branches, then the next atom
+    const atomIndices = []
+    const order = (node) => {
+      atomIndices.push(node.index)
+      node.branches.forEach(order)
+
+      if (node.next) {
+        order(node.next)
+      }
+    }
+
+    order(tree)
+
+    return { tree, atomIndices }
+  }
+
+  /**
+   * Adds the tetrahedral parity and the double bond configurations of a molecule to its parse tree.
+   *
+   * @param {Object} molecule A molecule read by MolReader.read().
+   * @param {Object[]} nodes The nodes of the parse tree in the order of the atoms.
+   * @param {Object[][]} atomBonds The bonds of every atom.
+   * @param {Object} tree The neighbours of every atom in the order of the graph, the parents of the atoms, functions
+   * setting the bond symbols and the atoms written before the bonds, the latter two by bond index.
+   */
+  static addStereo(molecule, nodes, atomBonds, { neighbours, parents, setters, firsts }) {
+    const { atoms, bonds } = molecule
+
+    for (const [index, symbol] of MolReader.getDirections(atoms, bonds, atomBonds, firsts)) {
+      setters.get(index)(symbol)
+    }
+
+    atoms.forEach((atom, i) => {
+      const hydrogens = typeof nodes[i].atom === 'string' ? MolReader.getHydrogenCount(atom, atomBonds[i]) : nodes[i].atom.hcount
+
+      // The hydrogen of a stereocenter follows the parent, which is missing at the start of a component
+      const order = [...neighbours[i]]
+      order.splice(parents[i] === null ? 0 : 1, 0, ...Array(hydrogens).fill(null))
+
+      const chirality = MolReader.getChirality(atoms, i, atomBonds[i], order)
+
+      if (chirality === null) {
+        return
+      }
+
+      if (typeof nodes[i].atom === 'string') {
+        nodes[i].atom = { isotope: null, element: nodes[i].atom, chirality, hcount: hydrogens, charge: null, class: null }
+        nodes[i].isBracket = true
+      } else {
+        nodes[i].atom.chirality = chirality
+      }
+    })
+  }
+}
+
+module.exports = MolReader
@@ -0,0 +1,267 @@
+// @ts-check
+
+/**
+ * A static class writing molecular graphs as MDL MOL files (V2000 and V3000) and SD files.
+ * The 2D coordinates are the positions computed by the layout, scaled such that the average bond length is 1.5 Angstrom.
+ */
+class MolWriter {
+  /**
+   * The bond length in Angstrom the coordinates are scaled to.
+   */
+  static get bondLength() {
+    return 1.5
+  }
+
+  /**
+   * A map mapping charges to the charge field of the V2000 atom block.
+   */
+  static get v2000Charges() {
+    return {
+      3: 1,
+      2: 2,
+      1: 3,
+      '-1': 5,
+      '-2': 6,
+      '-3': 7
+    }
+  }
+
+  /**
+   * Returns the atoms and bonds of a graph in the form written to the MOL file.
+   *
+   * @param {Object} graph A molecular graph.
+   * @returns {Object} An object containing the atoms and bonds, indices start at 1.
+   */
+  static getMolecule(graph) {
+    const scale = MolWriter.getScale(graph)
+
+    const atoms = graph.vertices.map(vertex => {
+      const atom = vertex.value
+      const bracket = atom.bracket || {}
+
+      return {
+        index: vertex.id + 1,
+        element: atom.element.charAt(0).toUpperCase() + atom.element.slice(1),
+        x: vertex.position.x * scale,
+        // MOL files have the y-axis pointing up, the drawing has it pointing down
+        y: -vertex.position.y * scale,
+        charge: bracket.charge || 0,
+        isotope: bracket.isotope || 0,
+        isStereoCenter: atom.isStereoCenter
+      }
+    })
+
+    // '.' separates disconnected components, it is an edge in the graph but not a bond
+    const bonds = graph.edges.filter(edge => edge.bondType !== '.').map((edge, i) => {
+      let source = edge.sourceId
+      let target = edge.targetId
+
+      // The narrow end of a wedge, which is the first atom of a stereo bond, is the stereocenter
+      if (edge.wedge && !atoms[source].isStereoCenter && atoms[target].isStereoCenter) {
+        [source, target] = [target, source]
+      }
+
+      return {
+        index: i + 1,
+        source: source + 1,
+        target: target + 1,
+        type: MolWriter.getBondType(edge),
+        wedge: edge.wedge
+      }
+    })
+
+    return { atoms, bonds }
+  }
+
+  /**
+   * Returns the factor scaling the positions of the graph to a bond length of 1.5 Angstrom.
+   *
+   * @param {Object} graph A molecular graph.
+   * @returns {Number} The scaling factor.
+   */
+  static getScale(graph) {
+    const edges = graph.edges.filter(edge => edge.bondType !== '.')
+
+    if (edges.length === 0) {
+      return 1
+    }
+
+    let total = 0
+
+    for (let i = 0; i < edges.length; i++) {
+      const a = graph.vertices[edges[i].sourceId].position
+      const b = graph.vertices[edges[i].targetId].position
+      total += Math.hypot(a.x - b.x, a.y - b.y)
+    }
+
+    return total > 0 ? MolWriter.bondLength / (total / edges.length) : 1
+  }
+
+  /**
+   * Returns the MDL bond type of an edge.
+   * Aromatic bonds are written with their order in the Kekulé structure, type 4 is a query type and only used for
+   * systems that could not be kekulized.
+   *
+   * @param {Object} edge An edge.
+   * @returns {Number} The bond type (1 single, 2 double, 3 triple, 4 aromatic, 8 any).
+   */
+  static getBondType(edge) {
+    if (edge.isPartOfAromaticRing && edge.weight === 1) {
+      return { '-': 1, '=': 2 }[edge.kekuleBondType] || 4
+    }
+
+    // There is no quadruple bond type, '$' is written as "any"
+    return { 1: 1, 2: 2, 3: 3 }[edge.weight] || 8
+  }
+
+  /**
+   * Returns the header block (name, program and comment line) of a MOL file.
+   *
+   * @param {String} name The name of the molecule.
+   * @param {String} [comment=''] The comment line.
+   * @returns {String[]} The three header lines.
+   */
+  static getHeader(name, comment = '') {
+    const now = new Date()
+    const pad = n => String(n).padStart(2, '0')
+    const date = pad(now.getMonth() + 1) + pad(now.getDate()) + pad(now.getFullYear() % 100) + pad(now.getHours()) + pad(now.getMinutes())
+
+    return [name.slice(0, 80), `  smilesDr${date}2D`, comment.slice(0, 80)]
+  }
+
+  /**
+   * Writes a graph as a MOL file.
+   *
+   * @param {Object} graph A molecular graph.
+   * @param {Object} [options={}] The options.
+   * @param {String} [options.version='V2000'] The version of the MOL file, either 'V2000' or 'V3000'.
+   * @param {String} [options.name=''] The name of the molecule written to the header.
+   * @param {String} [options.comment=''] The comment written to the header.
+   * @returns {String} The MOL file.
+   */
+  static write(graph, { version = 'V2000', name = '', comment = '' } = {}) {
+    const molecule = MolWriter.getMolecule(graph)
+    const header = MolWriter.getHeader(name, comment)
+
+    if (version.toUpperCase() === 'V3000') {
+      return [...header, ...MolWriter.getV3000(molecule), 'M  END', ''].join('\n')
+    }
+
+    if (molecule.atoms.length > 999 || molecule.bonds.length > 999) {
+      throw new Error('molecules with more than 999 atoms or bonds can only be written as V3000')
+    }
+
+    return [...header, ...MolWriter.getV2000(molecule), 'M  END', ''].join('\n')
+  }
+
+  /**
+   * Returns the connection table of a molecule in the V2000 format.
+   *
+   * @param {Object} molecule The molecule as returned by getMolecule().
+   * @returns {String[]} The lines of the connection table, without the terminating 'M  END'.
+   */
+  static getV2000({ atoms, bonds }) {
+    const int = (n, width = 3) => String(n).padStart(width)
+    const float = n => n.toFixed(4).padStart(10)
+    const chiral = atoms.some(a => a.isStereoCenter) ? 1 : 0
+
+    const lines = [`${int(atoms.length)}${int(bonds.length)}  0  0${int(chiral)}  0  0  0  0  0999 V2000`]
+
+    for (const atom of atoms) {
+      const charge = MolWriter.v2000Charges[atom.charge] || 0
+      lines.push(`${float(atom.x)}${float(atom.y)}${float(0)} ${atom.element.padEnd(3)} 0${int(charge)}  0  0  0  0  0  0  0  0  0  0`)
+    }
+
+    for (const bond of bonds) {
+      const stereo = { up: 1, down: 6 }[bond.wedge] || 0
+      lines.push(`${int(bond.source)}${int(bond.target)}${int(bond.type)}${int(stereo)}`)
+    }
+
+    // Properties take precedence over the atom block and can hold charges outside of -3 to 3
+    const properties = [
+      ['CHG', atoms.filter(a => a.charge !== 0).map(a => [a.index, a.charge])],
+      ['ISO', atoms.filter(a => a.isotope > 0).map(a => [a.index, a.isotope])]
+    ]
+
+    for (const [key, entries] of properties) {
+      for (let i = 0; i < entries.length; i += 8) {
+        const chunk = entries.slice(i, i + 8)
+        lines.push(`M  ${key}${int(chunk.length)}` + chunk.map(([index, value]) => ` ${int(index)} ${int(value)}`).join(''))
+      }
+    }
+
+    return lines
+  }
+
+  /**
+   * Returns the connection table of a molecule in the V3000 format.
+   *
+   * @param {Object} molecule The molecule as returned by getMolecule().
+   * @returns {String[]} The lines of the connection table, without the terminating 'M  END'.
+   */
+  static getV3000({ atoms, bonds }) {
+    const chiral = atoms.some(a => a.isStereoCenter) ? 1 : 0
+    const lines = [
+      '  0  0  0     0  0            999 V3000',
+      'M  V30 BEGIN CTAB',
+      `M  V30 COUNTS ${atoms.length} ${bonds.length} 0 0 ${chiral}`,
+      'M  V30 BEGIN ATOM'
+    ]
+
+    for (const atom of atoms) {
+      const properties = []
+
+      if (atom.charge !== 0) {
+        properties.push(`CHG=${atom.charge}`)
+      }
+
+      if (atom.isotope > 0) {
+        properties.push(`MASS=${atom.isotope}`)
+      }
+
+      lines.push(['M  V30', atom.index, atom.element, atom.x.toFixed(4), atom.y.toFixed(4), '0', '0', ...properties].join(' '))
+    }
+
+    lines.push('M  V30 END ATOM', 'M  V30 BEGIN BOND')
+
+    for (const bond of bonds) {
+      const configuration = { up: 1, down: 3 }[bond.wedge]
+      const properties = configuration ? [`CFG=${configuration}`] : []
+      lines.push(['M  V30', bond.index, bond.type, bond.source, bond.target, ...properties].join(' '))
+    }
+
+    lines.push('M  V30 END BOND', 'M  V30 END CTAB')
+
+    return lines
+  }
+
+  /**
+   * Writes a multi-record SD file.
+   *
+   * @param {Object[]} records The records.
+   * @param {Object} records[].graph A molecular graph.
+   * @param {String} [records[].name=''] The name of the molecule.
+   * @param {Object} [records[].properties={}] A map of data items written after the MOL block.
+   * @param {String} [version='V2000'] The version of the MOL blocks.
+   * @returns {String} The SD file.
+   */
+  static writeSdf(records, version = 'V2000') {
+    return records.map(({ graph, name = '', properties = {} }) => {
+      return MolWriter.getSdfRecord(MolWriter.write(graph, { version, name }), properties)
+    }).join('')
+  }
+
+  /**
+   * Appends data items and the record separator to a MOL block.
+   *
+   * @param {String} molBlock A MOL file.
+   * @param {Object} [properties={}] A map of data items.
+   * @returns {String} A single SD file record.
+   */
+  static getSdfRecord(molBlock, properties = {}) {
+    const items = Object.entries(properties).map(([key, value]) => `> <${key}>\n${value}\n\n`).join('')
+    return `${molBlock}${items}$$$$\n`
+  }
+}
+
+module.exports = MolWriter
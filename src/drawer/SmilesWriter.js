@@ -0,0 +1,816 @@
+// @ts-check
+const Elements = require('./Elements')
+const Kekulizer = require('./Kekulizer')
+const MathHelper = require('./MathHelper')
+const Valence = require('./Valence')
+
+/**
+ * A static class writing molecular graphs as canonical SMILES. Aromatic systems are read in their Kekulé structure
+ * and aromaticity is perceived again (Hückel 4n + 2 on the rings and on pairs of fused rings), so aromatic and Kekulé
+ * inputs of a molecule are written the same. Atoms are ranked by their invariants (element, degree, hydrogens, charge,
+ * isotope, aromaticity), the ranks are refined by those of their neighbours and ties are broken until every atom has
+ * a rank of its own. The SMILES is then written depth-first from the lowest ranked atom, visiting neighbours in rank
+ * order. Hydrogens are written in brackets, tetrahedral stereo is taken from the brackets and its parity adjusted to
+ * the new order of the neighbours. Double bond configurations are read from the / and \\ bonds around them and
+ * written again with / and \\ in the new order.
+ */
+class SmilesWriter {
+  /**
+   * The elements that can be written without brackets.
+   */
+  static get organicSubset() {
+    return ['B', 'C', 'N', 'O', 'P', 'S', 'F', 'Cl', 'Br', 'I', '*']
+  }
+
+  /**
+   * A map mapping bond orders to the codes they are ranked by, aromatic bonds come last.
+   */
+  static get bondCodes() {
+    return {
+      1: 1,
+      2: 2,
+      3: 3,
+      4: 4,
+      aromatic: 5
+    }
+  }
+
+  /**
+   * A map mapping bond orders to their symbols, single and aromatic bonds are implicit.
+   */
+  static get bondSymbols() {
+    return {
+      2: '=',
+      3: '#',
+      4: '$'
+    }
+  }
+
+  /**
+   * The elements whose exocyclic double bonds leave an atom in an aromatic ring, e.g. the carbonyl of pyridone.
+   */
+  static get exocyclicAcceptors() {
+    return ['O', 'N', 'S', 'Se']
+  }
+
+  /**
+   * The maximum number of ways ties are broken for molecules with stereocenters, beyond that the first atom of a
+   * tie is put first.
+   */
+  static get maxOrderings() {
+    return 128
+  }
+
+  /**
+   * Returns the canonical SMILES of a graph. Components are written in lexicographic order.
+   *
+   * @param {Object} graph A molecular graph after its aromatic systems were kekulized.
+   * @param {Number[][]} rings The smallest set of smallest rings as arrays of vertex ids.
+   * @returns {String} The canonical SMILES.
+   */
+  static write(graph, rings) {
+    const context = SmilesWriter.getContext(graph)
+
+    context.aromatic = SmilesWriter.perceiveAromaticity(context, rings)
+
+    const ranks = SmilesWriter.getRanks(context)
+
+    context.stereoBonds = SmilesWriter.getStereoBonds(context, ranks)
+
+    const isStereo = context.stereoBonds.length > 0 || graph.vertices.some(v => v.value.bracket && v.value.bracket.chirality)
+
+    // Symmetric atoms may only differ by their stereo, then every way of breaking the ties is written and the
+    // smallest SMILES is kept
+    const written = SmilesWriter.breakTies(context, ranks, isStereo ? SmilesWriter.maxOrderings : 1)
+      .map(broken => SmilesWriter.writeRanked(context, broken))
+
+    return written.sort()[0]
+  }
+
+  /**
+   * Returns the aromatic atoms and bonds of a graph, perceived in its Kekulé structure as they are written.
+   *
+   * @param {Object} graph A molecular graph after its aromatic systems were kekulized.
+   * @param {Number[][]} rings The smallest set of smallest rings as arrays of vertex ids.
+   * @returns {Object} The aromatic { atoms: Set<Number>, edges: Set<Number> }, edges by their ids.
+   */
+  static getAromaticity(graph, rings) {
+    return SmilesWriter.perceiveAromaticity(SmilesWriter.getContext(graph), rings)
+  }
+
+  /**
+   * Returns the state of the writer for a graph, before aromaticity and stereo bonds are perceived.
+   *
+   * @param {Object} graph A molecular graph after its aromatic systems were kekulized.
+   * @returns {Object} The state of the writer.
+   */
+  static getContext(graph) {
+    const hydrogens = SmilesWriter.getHydrogenVertices(graph)
+
+    return {
+      graph,
+      bridges: new Set(graph.getBridges().map(([a, b]) => graph.getEdge(a, b).id)),
+      hydrogens,
+      ids: graph.vertices.map(v => v.id).filter(id => !hydrogens.has(id)),
+      aromatic: { atoms: new Set(), edges: new Set() },
+      stereoBonds: []
+    }
+  }
+
+  /**
+   * Writes a graph whose atoms all have a rank of their own.
+   *
+   * @param {Object} context The state of the writer.
+   * @param {Map<Number, Number>} ranks A map mapping vertex ids to their ranks.
+   * @returns {String} The SMILES.
+   */
+  static writeRanked(context, ranks) {
+    const state = { ...context, ranks, visited: new Set(), children: new Map(), closures: [], digits: [], directions: new Map() }
+    const roots = []
+
+    for (const id of [...context.ids].sort((a, b) => ranks.get(a) - ranks.get(b))) {
+      if (!state.visited.has(id)) {
+        SmilesWriter.visit(state, id, null)
+        roots.push(id)
+      }
+    }
+
+    state.directions = SmilesWriter.getDirections(state, roots)
+
+    return roots.map(id => SmilesWriter.writeAtom(state, id, null)).sort().join('.')
+  }
+
+  /**
+   * Returns the ids of the hydrogen vertices that are written as hydrogen count of their neighbour. These are the
+   * hydrogens of stereocenters and explicit hydrogens without charge, isotope or class.
+   *
+   * @param {Object} graph A molecular graph.
+   * @returns {Set<Number>} The ids of the hydrogen vertices.
+   */
+  static getHydrogenVertices(graph) {
+    const ids = new Set()
+
+    for (const vertex of graph.vertices) {
+      const atom = vertex.value
+      const bracket = atom.bracket
+      const plain = !bracket || (!bracket.isotope && !bracket.charge && !bracket.class && !bracket.hcount)
+      const neighbours = SmilesWriter.getBondedNeighbours(graph, vertex.id)
+
+      if (atom.element === 'H' && plain && neighbours.length === 1 && graph.vertices[neighbours[0]].value.element !== 'H') {
+        ids.add(vertex.id)
+      }
+    }
+
+    return ids
+  }
+
+  /**
+   * Returns the order of a bond in the Kekulé structure, aromatic bonds of systems that could not be kekulized have
+   * no order.
+   *
+   * @param {Object} context The state of the writer.
+   * @param {Object} edge An edge.
+   * @returns {(Number|null)} The bond order or null.
+   */
+  static getBondOrder(context, edge) {
+    if (edge.isPartOfAromaticRing && edge.weight === 1 && !context.bridges.has(edge.id)) {
+      return { '-': 1, '=': 2 }[edge.kekuleBondType] || null
+    }
+
+    return edge.weight
+  }
+
+  /**
+   * Returns the number of electrons an atom gives to the pi system of a ring in the Kekulé structure.
+   *
+   * @param {Object} context The state of the writer.
+   * @param {Number} id A vertex id.
+   * @param {Set<Number>} ringEdges The ids of the edges that are part of a ring.
+   * @returns {(Number|null)} The number of electrons, null if the atom cannot be part of an aromatic ring.
+   */
+  static getPiElectrons(context, id, ringEdges) {
+    const graph = context.graph
+    const atom = graph.vertices[id].value
+    const element = Elements.normalize(atom.element)
+    const charge = atom.bracket ? atom.bracket.charge || 0 : 0
+
+    if (!Elements.aromaticSymbols.includes(element.toLowerCase())) {
+      return null
+    }
+
+    const bonds = SmilesWriter.getNeighbours(context, id).map(n => ({ n, edge: graph.getEdge(id, n), order: SmilesWriter.getBondOrder(context, graph.getEdge(id, n)) }))
+    const double = bonds.find(b => b.order === 2)
+
+    if (bonds.some(b => b.order !== 1 && b.order !== 2)) {
+      return null
+    }
+
+    if (double) {
+      // A double bond out of the ring only keeps it aromatic when it pulls the electrons away, e.g. C=O
+      if (ringEdges.has(double.edge.id)) {
+        return 1
+      }
+
+      return SmilesWriter.exocyclicAcceptors.includes(Elements.normalize(graph.vertices[double.n].value.element)) ? 0 : null
+    }
+
+    // Without a double bond, a lone pair gives two electrons and an empty orbital none
+    const connections = bonds.length + SmilesWriter.getHydrogenCount(context, id)
+    const lonePair = {
+      C: charge === -1 && connections === 3,
+      N: charge === 0 && connections === 3,
+      P: charge === 0 && connections === 3,
+      As: charge === 0 && connections === 3,
+      O: charge === 0 && connections === 2,
+      S: charge === 0 && connections === 2,
+      Se: charge === 0 && connections === 2
+    }[element]
+    const empty = (element === 'C' && charge === 1 && connections === 3) || (element === 'B' && charge === 0 && connections === 3)
+
+    return lonePair ? 2 : empty ? 0 : null
+  }
+
+  /**
+   * Perceives the aromatic atoms and bonds in the Kekulé structure. A ring, or a pair of fused rings, is aromatic if
+   * every atom can give electrons to it and they add up to 4n + 2. Systems that could not be kekulized stay aromatic.
+   *
+   * @param {Object} context The state of the writer.
+   * @param {Number[][]} rings The smallest set of smallest rings as arrays of vertex ids.
+   * @returns {Object} The aromatic { atoms: Set<Number>, edges: Set<Number> }, edges by their ids.
+   */
+  static perceiveAromaticity(context, rings) {
+    const graph = context.graph
+    const atoms = new Set()
+    const edges = new Set()
+    const ringEdges = rings.map(ring => {
+      const members = new Set(ring)
+      return ring.flatMap(id => SmilesWriter.getNeighbours(context, id).filter(n => n > id && members.has(n)).map(n => graph.getEdge(id, n).id))
+    })
+    const allRingEdges = new Set(ringEdges.flat())
+    const electrons = new Map()
+
+    for (const edge of graph.edges) {
+      if (SmilesWriter.getBondOrder(context, edge) === null) {
+        edges.add(edge.id)
+        atoms.add(edge.sourceId)
+        atoms.add(edge.targetId)
+      }
+    }
+
+    for (const ring of rings) {
+      for (const id of ring) {
+        if (!electrons.has(id)) {
+          electrons.set(id, SmilesWriter.getPiElectrons(context, id, allRingEdges))
+        }
+      }
+    }
+
+    const isAromatic = members => {
+      const counts = [...members].map(id => electrons.get(id))
+      return counts.every(count => count !== null) && counts.reduce((sum, count) => sum + count, 0) % 4 === 2
+    }
+
+    const add = indices => {
+      for (const index of indices) {
+        rings[index].forEach(id => atoms.add(id))
+        ringEdges[index].forEach(id => edges.add(id))
+      }
+    }
+
+    const single = rings.map(ring => isAromatic(ring))
+    single.forEach((aromatic, index) => aromatic && add([index]))
+
+    // Fused rings such as azulene are only aromatic together, their perimeter holds the electrons
+    for (let i = 0; i < rings.length; i++) {
+      for (let j = i + 1; j < rings.length; j++) {
+        const shared = rings[i].filter(id => rings[j].includes(id))
+
+        if (!(single[i] && single[j]) && shared.length === 2 && isAromatic(new Set([...rings[i], ...rings[j]]))) {
+          add([i, j])
+        }
+      }
+    }
+
+    return { atoms, edges }
+  }
+
+  /**
+   * Returns whether the other atom of a directional bond is up (1) or down (-1) as seen from an atom.
+   *
+   * @param {String} bondType The bond type, / or \\.
+   * @param {Number} id The id of the vertex the other atom is seen from.
+   * @param {Number} firstId The id of the vertex written before the bond.
+   * @returns {Number} 1 if the other atom is up, -1 if it is down.
+   */
+  static getUp(bondType, id, firstId) {
+    return (bondType === '/') === (id === firstId) ? 1 : -1
+  }
+
+  /**
+   * Returns the double bonds with a configuration. The substituents of both ends are marked up (1) or down (-1) as
+   * in the input, only one of two substituents of an end needs a directional bond. Configurations that are given for
+   * one end only, contradict themselves or have two symmetric substituents on an end are dropped.
+   *
+   * @param {Object} context The state of the writer.
+   * @param {Map<Number, Number>} ranks A map mapping vertex ids to their ranks.
+   * @returns {Object[]} The double bonds as { edge, ends: Map<Number, Number>, ups: Map<Number, Number> }, ends and ups
+   * map the ids of the written substituents to the end they are bonded to and whether they are up.
+   */
+  static getStereoBonds(context, ranks) {
+    const graph = context.graph
+    const stereoBonds = []
+
+    for (const edge of graph.edges) {
+      if (SmilesWriter.getBondOrder(context, edge) !== 2 || context.aromatic.edges.has(edge.id)) {
+        continue
+      }
+
+      const ends = new Map()
+      const ups = new Map()
+      const isStereo = [[edge.sourceId, edge.targetId], [edge.targetId, edge.sourceId]].every(([id, otherId]) => {
+        const neighbours = SmilesWriter.getBondedNeighbours(graph, id).filter(n => n !== otherId)
+        const edges = neighbours.map(n => graph.getEdge(id, n))
+
+        if (!neighbours.length || neighbours.length > 2 || edges.some(e => SmilesWriter.getBondOrder(context, e) !== 1)) {
+          return false
+        }
+
+        // Ring closures are written from the atom with the bond symbol, other bonds from the parent
+        const directions = edges.map(e => ['/', '\\'].includes(e.bondType)
+          ? SmilesWriter.getUp(e.bondType, id, e.ringbondSourceId === null ? e.sourceId : e.ringbondSourceId)
+          : 0)
+        const known = directions.find(direction => direction !== 0)
+
+        if (!known || (directions.length === 2 && directions[0] === directions[1])) {
+          return false
+        }
+
+        // Hydrogens written in the bracket of their neighbour are not ranked and carry no bond symbol
+        const written = neighbours.filter(n => !context.hydrogens.has(n))
+
+        if (!written.length || (neighbours.length === 2 && ranks.get(neighbours[0]) === ranks.get(neighbours[1]))) {
+          return false
+        }
+
+        neighbours.forEach((n, i) => {
+          if (!context.hydrogens.has(n)) {
+            ends.set(n, id)
+            ups.set(n, directions[i] || -known)
+          }
+        })
+
+        return true
+      })
+
+      if (isStereo) {
+        stereoBonds.push({ edge, ends, ups })
+      }
+    }
+
+    return stereoBonds
+  }
+
+  /**
+   * Returns the / and \\ bonds written around the double bonds with a configuration. The double bonds are visited in
+   * the order they are written, a bond that is already directed by an earlier double bond decides the others, else
+   * the first substituent written gets a /.
+   *
+   * @param {Object} context The state of the writer after the spanning tree was built.
+   * @param {Number[]} roots The ids of the first vertices of the components in the order they are written.
+   * @returns {Map<Number, String>} A map mapping edge ids to their bond symbols.
+   */
+  static getDirections(context, roots) {
+    const graph = context.graph
+    const directions = new Map()
+    const positions = new Map()
+    const firstIds = new Map()
+
+    const walk = id => {
+      positions.set(id, positions.size)
+
+      for (const child of context.children.get(id)) {
+        firstIds.set(graph.getEdge(id, child).id, id)
+        walk(child)
+      }
+    }
+
+    roots.forEach(walk)
+    context.closures.forEach(closure => firstIds.set(closure.edge.id, closure.closing))
+
+    const position = ({ edge }) => Math.min(positions.get(edge.sourceId), positions.get(edge.targetId))
+
+    for (const { ends, ups } of [...context.stereoBonds].sort((a, b) => position(a) - position(b))) {
+      const substituents = [...ends.keys()]
+        .sort((a, b) => positions.get(a) - positions.get(b))
+        .map(n => ({ edge: graph.getEdge(ends.get(n), n), id: ends.get(n), up: ups.get(n) }))
+      const directed = substituents.find(({ edge }) => directions.has(edge.id)) || substituents[0]
+      const bondType = directions.get(directed.edge.id) || '/'
+      const flip = SmilesWriter.getUp(bondType, directed.id, firstIds.get(directed.edge.id)) * directed.up
+
+      for (const { edge, id, up } of substituents) {
+        if (!directions.has(edge.id)) {
+          directions.set(edge.id, (flip * up === 1) === (id === firstIds.get(edge.id)) ? '/' : '\\')
+        }
+      }
+    }
+
+    return directions
+  }
+
+  /**
+   * Returns whether or not an atom is written as aromatic.
+   *
+   * @param {Object} context The state of the writer.
+   * @param {Number} id A vertex id.
+   * @returns {Boolean} A boolean indicating whether or not the atom is aromatic.
+   */
+  static isAromatic(context, id) {
+    return context.aromatic.atoms.has(id)
+  }
+
+  /**
+   * Returns the neighbours of a vertex that are bonded to it, '.' separates disconnected components.
+   *
+   * @param {Object} graph A molecular graph.
+   * @param {Number} id A vertex id.
+   * @returns {Number[]} The ids of the neighbours in the order of the input.
+   */
+  static getBondedNeighbours(graph, id) {
+    return graph.vertices[id].neighbours.filter(n => graph.getEdge(id, n).bondType !== '.')
+  }
+
+  /**
+   * Returns the neighbours of a vertex that are written as atoms.
+   *
+   * @param {Object} context The state of the writer.
+   * @param {Number} id A vertex id.
+   * @returns {Number[]} The ids of the neighbours in the order of the input.
+   */
+  static getNeighbours(context, id) {
+    return SmilesWriter.getBondedNeighbours(context.graph, id).filter(n => !context.hydrogens.has(n))
+  }
+
+  /**
+   * Returns the number of hydrogens written in the bracket of an atom.
+   *
+   * @param {Object} context The state of the writer.
+   * @param {Number} id A vertex id.
+   * @returns {Number} The number of hydrogens.
+   */
+  static getHydrogenCount(context, id) {
+    const atom = context.graph.vertices[id].value
+    // Hydrogens of stereocenters are part of the count in brackets, explicit ones are not
+    const explicit = SmilesWriter.getBondedNeighbours(context.graph, id)
+      .filter(n => context.hydrogens.has(n) && context.graph.vertices[n].value.bracket).length
+
+    return atom.getHydrogenCount() + explicit
+  }
+
+  /**
+   * Returns the code a bond is ranked by.
+   *
+   * @param {Object} context The state of the writer.
+   * @param {Object} edge An edge.
+   * @returns {Number} The bond code.
+   */
+  static getBondCode(context, edge) {
+    if (context.aromatic.edges.has(edge.id)) {
+      return SmilesWriter.bondCodes.aromatic
+    }
+
+    return SmilesWriter.bondCodes[SmilesWriter.getBondOrder(context, edge)] || 1
+  }
+
+  /**
+   * Ranks the atoms by their invariants and refines the ranks, symmetric atoms share a rank.
+   *
+   * @param {Object} context The state of the writer.
+   * @returns {Map<Number, Number>} A map mapping vertex ids to their ranks, starting at 0.
+   */
+  static getRanks(context) {
+    const graph = context.graph
+    const invariants = new Map(context.ids.map(id => {
+      const atom = graph.vertices[id].value
+      const bracket = atom.bracket || {}
+      const element = Elements.get(atom.element)
+
+      return [id, [
+        element ? element.atomicNumber : 0,
+        SmilesWriter.getNeighbours(context, id).length,
+        SmilesWriter.getHydrogenCount(context, id),
+        bracket.charge || 0,
+        bracket.isotope || 0,
+        SmilesWriter.isAromatic(context, id) ? 1 : 0
+      ]]
+    }))
+
+    return SmilesWriter.refine(context, SmilesWriter.denseRanks(context.ids, invariants))
+  }
+
+  /**
+   * Refines ranks by the ranks of the neighbours and the bonds to them until no more ranks are split.
+   *
+   * @param {Object} context The state of the writer.
+   * @param {Map<Number, Number>} ranks A map mapping vertex ids to their ranks.
+   * @returns {Map<Number, Number>} The refined ranks.
+   */
+  static refine(context, ranks) {
+    const graph = context.graph
+    let count = new Set(ranks.values()).size
+
+    for (;;) {
+      const keys = new Map(context.ids.map(id => [id, [
+        ranks.get(id),
+        ...SmilesWriter.getNeighbours(context, id)
+          .map(n => ranks.get(n) * 8 + SmilesWriter.getBondCode(context, graph.getEdge(id, n)))
+          .sort((a, b) => a - b)
+      ]]))
+
+      ranks = SmilesWriter.denseRanks(context.ids, keys)
+      const refined = new Set(ranks.values()).size
+
+      if (refined === count) {
+        return ranks
+      }
+
+      count = refined
+    }
+  }
+
+  /**
+   * Returns the atoms sharing the lowest rank that is shared.
+   *
+   * @param {Map<Number, Number>} ranks A map mapping vertex ids to their ranks.
+   * @returns {Number[]} The ids of the tied atoms in increasing order, empty if all ranks differ.
+   */
+  static getTiedIds(ranks) {
+    const counts = new Map()
+
+    for (const rank of ranks.values()) {
+      counts.set(rank, (counts.get(rank) || 0) + 1)
+    }
+
+    const tied = [...counts.keys()].filter(rank => counts.get(rank) > 1)
+
+    if (!tied.length) {
+      return []
+    }
+
+    const lowest = Math.min(...tied)
+    return [...ranks.keys()].filter(id => ranks.get(id) === lowest).sort((a, b) => a - b)
+  }
+
+  /**
+   * Breaks the ties between symmetric atoms until every atom has a rank of its own. Of the tied atoms, one is put
+   * first and the others are refined again. Every atom of a tie is tried as long as there are at most the given
+   * number of ways in total.
+   *
+   * @param {Object} context The state of the writer.
+   * @param {Map<Number, Number>} ranks A map mapping vertex ids to their ranks.
+   * @param {Number} width The number of ways the ties may still be broken.
+   * @returns {Map<Number, Number>[]} The ranks without ties, one map per way.
+   */
+  static breakTies(context, ranks, width) {
+    const tied = SmilesWriter.getTiedIds(ranks)
+
+    if (!tied.length) {
+      return [ranks]
+    }
+
+    const choices = tied.length <= width ? tied : tied.slice(0, 1)
+    const rank = ranks.get(tied[0])
+
+    return choices.flatMap(chosen => {
+      const broken = new Map(context.ids.map(id => [id, [ranks.get(id) * 2 + (ranks.get(id) === rank && id !== chosen ? 1 : 0)]]))
+      const refined = SmilesWriter.refine(context, SmilesWriter.denseRanks(context.ids, broken))
+
+      return SmilesWriter.breakTies(context, refined, Math.floor(width / choices.length))
+    })
+  }
+
+  /**
+   * Returns dense ranks of vertices ordered by their keys.
+   *
+   * @param {Number[]} ids The vertex ids.
+   * @param {Map<Number, Number[]>} keys A map mapping vertex ids to the keys they are ordered by.
+   * @returns {Map<Number, Number>} A map mapping vertex ids to their ranks, equal keys get the same rank.
+   */
+  static denseRanks(ids, keys) {
+    const compare = (a, b) => {
+      for (let i = 0; i < Math.min(a.length, b.length); i++) {
+        if (a[i] !== b[i]) {
+          return a[i] - b[i]
+        }
+      }
+
+      return a.length - b.length
+    }
+
+    const sorted = [...ids].sort((a, b) => compare(keys.get(a), keys.get(b)))
+    const ranks = new Map()
+    let rank = 0
+
+    sorted.forEach((id, i) => {
+      if (i > 0 && compare(keys.get(sorted[i - 1]), keys.get(id)) !== 0) {
+        rank++
+      }
+
+      ranks.set(id, rank)
+    })
+
+    return ranks
+  }
+
+  /**
+   * Builds the depth-first spanning tree that is written and finds the ring closures.
+   *
+   * @param {Object} context The state of the writer.
+   * @param {Number} id The id of the current vertex.
+   * @param {(Number|null)} parentId The id of the previous vertex.
+   */
+  static visit(context, id, parentId) {
+    context.visited.add(id)
+    context.children.set(id, [])
+
+    const neighbours = SmilesWriter.getNeighbours(context, id).sort((a, b) => context.ranks.get(a) - context.ranks.get(b))
+
+    for (const neighbour of neighbours) {
+      if (neighbour === parentId) {
+        continue
+      }
+
+      const edge = context.graph.getEdge(id, neighbour)
+
+      if (!context.visited.has(neighbour)) {
+        context.children.get(id).push(neighbour)
+        SmilesWriter.visit(context, neighbour, id)
+      } else if (!context.closures.some(closure => closure.edge === edge)) {
+        context.closures.push({ edge, opening: neighbour, closing: id, digit: null })
+      }
+    }
+  }
+
+  /**
+   * Writes an atom and everything after it in the spanning tree.
+   *
+   * @param {Object} context The state of the writer.
+   * @param {Number} id The id of the vertex.
+   * @param {(Number|null)} previousId The id of the vertex written before, null at the start of a component.
+   * @returns {String} The SMILES of the subtree.
+   */
+  static writeAtom(context, id, previousId) {
+    const closing = context.closures.filter(c => c.closing === id)
+    const opening = context.closures.filter(c => c.opening === id)
+    const children = context.children.get(id)
+    let rings = ''
+
+    // Digits are only freed after this atom, so that it never opens and closes the same one
+    for (const closure of opening) {
+      closure.digit = context.digits.findIndex((used, digit) => digit > 0 && !used)
+      closure.digit = closure.digit === -1 ? Math.max(1, context.digits.length) : closure.digit
+      context.digits[closure.digit] = true
+    }
+
+    // The bond of a ring closure is written on both ends, the parser takes it from the closing one. A / or \\ is only
+    // written on the closing end, it reads from the atom it is written at
+    for (const closure of closing) {
+      rings += SmilesWriter.getBondSymbol(context, closure.edge) + SmilesWriter.formatDigit(closure.digit)
+    }
+
+    for (const closure of opening) {
+      rings += (context.directions.has(closure.edge.id) ? '' : SmilesWriter.getBondSymbol(context, closure.edge)) + SmilesWriter.formatDigit(closure.digit)
+    }
+
+    for (const closure of closing) {
+      context.digits[closure.digit] = false
+    }
+
+    const order = [
+      ...closing.map(c => c.opening),
+      ...opening.map(c => c.closing),
+      ...children
+    ]
+
+    let smiles = SmilesWriter.getAtomSymbol(context, id, previousId, order) + rings
+
+    children.forEach((child, index) => {
+      const branch = SmilesWriter.getBondSymbol(context, context.graph.getEdge(id, child)) + SmilesWriter.writeAtom(context, child, id)
+      smiles += index < children.length - 1 ? `(${branch})` : branch
+    })
+
+    return smiles
+  }
+
+  /**
+   * Returns the ring closure digit as written in SMILES.
+   *
+   * @param {Number} digit The ring closure number.
+   * @returns {String} The digit, numbers above 9 are prefixed with %.
+   */
+  static formatDigit(digit) {
+    return digit < 10 ? String(digit) : `%${digit}`
+  }
+
+  /**
+   * Returns the symbol of a bond. Single and aromatic bonds are implicit, except single bonds between aromatic atoms
+   * and the / and \\ bonds around double bonds with a configuration.
+   *
+   * @param {Object} context The state of the writer.
+   * @param {Object} edge An edge.
+   * @returns {String} The bond symbol.
+   */
+  static getBondSymbol(context, edge) {
+    if (context.directions && context.directions.has(edge.id)) {
+      return context.directions.get(edge.id)
+    }
+
+    if (context.aromatic.edges.has(edge.id)) {
+      return ''
+    }
+
+    const order = SmilesWriter.getBondOrder(context, edge)
+
+    if (order !== 1) {
+      return SmilesWriter.bondSymbols[order] || ''
+    }
+
+    return SmilesWriter.isAromatic(context, edge.sourceId) && SmilesWriter.isAromatic(context, edge.targetId) ? '-' : ''
+  }
+
+  /**
+   * Returns the symbol of an atom, in brackets if it is not in the organic subset or the hydrogens would differ.
+   *
+   * @param {Object} context The state of the writer.
+   * @param {Number} id The id of the vertex.
+   * @param {(Number|null)} previousId The id of the vertex written before.
+   * @param {Number[]} order The ids of the following neighbours in the order they are written.
+   * @returns {String} The atom as written in SMILES.
+   */
+  static getAtomSymbol(context, id, previousId, order) {
+    const atom = context.graph.vertices[id].value
+    const bracket = atom.bracket || {}
+    const isAromatic = SmilesWriter.isAromatic(context, id)
+    const symbol = isAromatic ? atom.element.toLowerCase() : Elements.normalize(atom.element)
+    const hydrogens = SmilesWriter.getHydrogenCount(context, id)
+    const chirality = SmilesWriter.getChirality(context, id, previousId, order)
+
+    // Bonds of systems that could not be kekulized count as single bonds
+    const bonds = SmilesWriter.getNeighbours(context, id).reduce((sum, n) => sum + (SmilesWriter.getBondOrder(context, context.graph.getEdge(id, n)) || 1), 0)
+    const isAmbiguous = isAromatic && Kekulizer.ambiguousElements.includes(Elements.normalize(atom.element))
+    const implicit = isAmbiguous ? 0 : Valence.getImplicitHydrogens(atom.element, bonds)
+    const organic = SmilesWriter.organicSubset.includes(Elements.normalize(atom.element))
+
+    if (organic && !bracket.isotope && !bracket.charge && !bracket.class && !chirality && hydrogens === implicit) {
+      return symbol
+    }
+
+    const charge = bracket.charge || 0
+    const chargeText = charge === 0 ? '' : (charge > 0 ? '+' : '-') + (Math.abs(charge) > 1 ? Math.abs(charge) : '')
+
+    return '[' +
+      (bracket.isotope || '') +
+      symbol +
+      chirality +
+      (hydrogens > 0 ? 'H' : '') + (hydrogens > 1 ? hydrogens : '') +
+      chargeText +
+      (bracket.class ? `:${bracket.class}` : '') +
+      ']'
+  }
+
+  /**
+   * Returns the tetrahedral chirality of an atom for the order its neighbours are written in.
+   *
+   * @param {Object} context The state of the writer.
+   * @param {Number} id The id of the vertex.
+   * @param {(Number|null)} previousId The id of the vertex written before.
+   * @param {Number[]} order The ids of the following neighbours in the order they are written.
+   * @returns {String} @, @@ or an empty string if the atom is not a tetrahedral stereocenter.
+   */
+  static getChirality(context, id, previousId, order) {
+    const atom = context.graph.vertices[id].value
+    const chirality = { '@': '@', '@@': '@@', TH1: '@', TH2: '@@' }[atom.bracket ? atom.bracket.chirality : null]
+    const hydrogens = SmilesWriter.getHydrogenCount(context, id)
+
+    if (!chirality || hydrogens > 1) {
+      return ''
+    }
+
+    // The implicit hydrogen follows the previous atom or comes first at the start of a component
+    const input = SmilesWriter.getBondedNeighbours(context.graph, id).map(n => context.hydrogens.has(n) ? 'H' : n)
+    const output = [
+      ...(previousId === null ? [] : [previousId]),
+      ...(hydrogens ? ['H'] : []),
+      ...order
+    ]
+
+    if (input.length !== output.length || output.some(n => !input.includes(n))) {
+      return ''
+    }
+
+    const parity = MathHelper.parityOfPermutation(output.map(n => input.indexOf(n)))
+
+    return parity === 1 ? chirality : (chirality === '@' ? '@@' : '@')
+  }
+}
+
+module.exports = SmilesWriter
@@ -1,7 +1,6 @@
 // we use the drawer to do all the preprocessing. then we take over the drawing
 // portion to output to svg
 const ArrayHelper = require('./ArrayHelper')
-const Atom = require('./Atom')
 const Drawer = require('./Drawer')
 const Line = require('./Line')
 const SvgWrapper = require('./SvgWrapper')
@@ -25,6 +24,18 @@ class SvgDrawer {
    * @returns {Object} The dimensions of the drawing in { width, height }
    */
   draw(data, target) {
+    this.layout(data, target)
+
+    return this.render()
+  }
+
+  /**
+   * Computes the positions of the atoms, the first part of draw().
+   *
+   * @param {Object} data The tree returned by the smiles parser.
+   * @param {(String|HTMLElement)} target The id of the HTML svg element the structure is drawn to - or the element itself.
+   */
+  layout(data, target) {
     const preprocessor = this.preprocessor
 
     preprocessor.initDraw(data)
@@ -32,9 +43,16 @@ class SvgDrawer {
     this.svgWrapper = new SvgWrapper(target, this.preprocessor.opts, this.colors)
 
     preprocessor.processGraph()
+  }
 
+  /**
+   * Draws the positioned molecule to the svg element, the second part of draw().
+   *
+   * @returns {Object} The dimensions of the drawing in { width, height }
+   */
+  render() {
     // Set the canvas to the appropriate size
-    this.svgWrapper.determineDimensions(preprocessor.graph.vertices)
+    this.svgWrapper.determineDimensions(this.preprocessor.graph.vertices)
 
     // Do the actual drawing
     this.drawEdges()
@@ -57,6 +75,7 @@ class SvgDrawer {
    */
   drawEdges() {
     const preprocessor = this.preprocessor
+    const opts = preprocessor.opts
     const graph = preprocessor.graph
     const rings = preprocessor.rings
     const drawn = Array(this.preprocessor.graph.edges.length).fill(false)
@@ -72,9 +91,10 @@ class SvgDrawer {
       }
     })
 
+    // Rings whose system could not be kekulized keep their circle in the Kekulé style
     for (let i = 0; i < rings.length; i++) {
       const ring = rings[i]
-      if (preprocessor.isRingAromatic(ring)) {
+      if (preprocessor.isRingAromatic(ring) && (opts.aromaticRings !== 'kekule' || !preprocessor.isRingKekulized(ring))) {
         this.drawAromaticityRing(ring)
       }
     }
@@ -109,10 +129,14 @@ class SvgDrawer {
     sides[0].multiplyScalar(10).add(a)
     sides[1].multiplyScalar(10).add(a)
 
+    // Aromatic bonds are drawn with their Kekulé bond type unless the rings are drawn as circles
+    const isKekule = opts.aromaticRings === 'kekule' && edge.kekuleBondType !== null
+    const bondType = isKekule ? edge.kekuleBondType : edge.bondType
+
     // aneb: edge.isPartOfAromaticRing is always false when not drawing ring
-    if (edge.bondType === '=' ||
+    if (bondType === '=' || (!isKekule && (
       preprocessor.getRingbondType(vertexA, vertexB) === '=' ||
-      (edge.isPartOfAromaticRing && preprocessor.bridgedRing)) {
+      (edge.isPartOfAromaticRing && preprocessor.bridgedRing)))) {
       // Always draw double bonds inside the ring
       const inRing = preprocessor.areVerticesInSameRing(vertexA, vertexB)
       const s = preprocessor.chooseSide(vertexA, vertexB, sides)
@@ -136,8 +160,7 @@ class SvgDrawer {
         line.shorten(opts.bondLength - opts.shortBondLength * opts.bondLength)
 
         // aneb: this is the inner double bond line, it should not be drawn when ring is drawn
-        // this is still not 100% correct, whole ring is drawn with double bonds
-        if (!edge.isPartOfAromaticRing) {
+        if (!edge.isPartOfAromaticRing || isKekule) {
           svgWrapper.drawLine(edgeIdLabel, edgeIdValue, label, line)
         }
 
@@ -234,9 +257,8 @@ class SvgDrawer {
       const atom = vertex.value
       let charge = 0
       let isotope = 0
-      const bondCount = vertex.value.bondCount
       const element = atom.element
-      let hydrogens = Atom.maxBonds[element] - bondCount
+      const hydrogens = atom.getHydrogenCount()
       const dir = vertex.getTextDirection(graph.vertices)
       const isTerminal = opts.terminalCarbons || element !== 'C' || atom.hasAttachedPseudoElements ? vertex.isTerminal() : false
       const isCarbon = atom.element === 'C'
@@ -244,14 +266,7 @@ class SvgDrawer {
       const vertexIdValue = `vertex-id-${i}`
       const vertexLabel = 'element-text'
 
-      // This is a HACK to remove all hydrogens from nitrogens in aromatic rings, as this
-      // should be the most common state. This has to be fixed by kekulization
-      if (atom.element === 'N' && atom.isPartOfAromaticRing) {
-        hydrogens = 0
-      }
-
       if (atom.bracket) {
-        hydrogens = atom.bracket.hcount
         charge = atom.bracket.charge
         isotope = atom.bracket.isotope
       }
@@ -1,3 +1,4 @@
+const Elements = require('./Elements')
 const Line = require('./Line')
 const Vector2 = require('./Vector2')
 
@@ -45,7 +46,8 @@ class SvgWrapper {
   }
 
   getColor(element) {
-    return this.colors[element] || this.colors.C
+    // Colormaps may leave out elements, e.g. a monochrome one only has carbon. Bond ends without atom have no element
+    return (element && this.colors[Elements.normalize(element)]) || this.colors.C
   }
 
   getChargeText(charge) {
@@ -0,0 +1,76 @@
+// @ts-check
+const Elements = require('./Elements')
+
+/**
+ * A static class implementing the valence model of OpenSMILES. Atoms written without brackets get as many implicit
+ * hydrogens as are needed to reach the lowest default valence that is not below the sum of their bond orders. If the
+ * bond orders exceed all default valences, the atom gets no hydrogens. Charges shift the valences of the isoelectronic
+ * element, e.g. [N+] has the valences of carbon and [O-] those of fluorine. The default valences are part of the element
+ * data.
+ */
+class Valence {
+  /**
+   * Elements with fewer valence electrons than bonds (group 13), a negative charge adds a valence.
+   */
+  static get electronDeficient() {
+    return ['B', 'Al']
+  }
+
+  /**
+   * Elements of group 14, any charge removes a valence.
+   */
+  static get tetravalent() {
+    return ['C', 'Si', 'Ge']
+  }
+
+  /**
+   * Returns the allowed valences of an element with a charge. Metals and unknown elements have none.
+   *
+   * @param {String} element An element symbol.
+   * @param {Number} [charge=0] The charge.
+   * @returns {Number[]} The valences in increasing order.
+   */
+  static getValences(element, charge = 0) {
+    const symbol = Elements.normalize(element)
+    const valences = Elements.get(symbol) ? Elements.get(symbol).valences : []
+
+    if (!charge) {
+      return valences
+    }
+
+    // Hydrogen ions are written in brackets, a charged hydrogen has no bonds
+    if (symbol === 'H') {
+      return [0]
+    }
+
+    return valences
+      .map(v => {
+        if (Valence.electronDeficient.includes(symbol)) {
+          return v - charge
+        }
+
+        if (Valence.tetravalent.includes(symbol)) {
+          return v - Math.abs(charge)
+        }
+
+        return v + charge
+      })
+      .filter(v => v >= 0)
+  }
+
+  /**
+   * Returns the number of implicit hydrogens of an atom.
+   *
+   * @param {String} element An element symbol.
+   * @param {Number} bonds The sum of the bond orders of the atom.
+   * @param {Number} [charge=0] The charge.
+   * @returns {Number} The number of implicit hydrogens.
+   */
+  static getImplicitHydrogens(element, bonds, charge = 0) {
+    const valence = Valence.getValences(element, charge).find(v => v >= bonds)
+
+    return valence === undefined ? 0 : valence - bonds
+  }
+}
+
+module.exports = Valence
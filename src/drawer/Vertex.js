@@ -22,6 +22,7 @@ const Atom = require('./Atom')
  * @property {Number[]} neighbours The vertex ids of neighbouring vertices.
  * @property {String[]} neighbouringElements The element symbols associated with neighbouring vertices.
  * @property {Boolean} forcePositioned A boolean indicating whether or not this vertex was positioned using a force-based approach.
+ * @property {Number[]} ringbondIndices The indices of the ringbonds of the ring bond partners added so far.
  */
 
 class Vertex {
@@ -48,6 +49,7 @@ class Vertex {
     this.neighbours = Array()
     this.neighbouringElements = Array()
     this.forcePositioned = false
+    this.ringbondIndices = []
   }
 
   /**
@@ -85,52 +87,31 @@ class Vertex {
   }
 
   /**
-   * Add a child vertex id to this vertex as the second child of the neighbours array,
-   * except this vertex is the first vertex of the SMILE string, then it is added as the first.
+   * Add a ring bond partner to this vertex, at its position in the order of the SMILES: after the parent and the
+   * hydrogens of a stereocenter, and among the other ring bond partners in the order of the ring bond digits.
    * This is used to get the correct ordering of neighbours for parity calculations.
-   * If a hydrogen is implicitly attached to the chiral center, insert as the third child.
    * @param {Number} vertexId The id of a vertex to be added as a child to this vertex.
-   * @param {Number} ringbondIndex The index of the ringbond.
+   * @param {Number} ringbondIndex The index of the ringbond among the ringbonds of this vertex.
    */
   addRingbondChild(vertexId, ringbondIndex) {
     this.children.push(vertexId)
 
     if (this.value.bracket) {
-      let index = 1
+      let index = this.parentVertexId === null ? 0 : 1
 
-      if (this.id === 0 && this.value.bracket.hcount === 0) {
-        index = 0
+      if (this.value.bracket.chirality) {
+        index += this.value.bracket.hcount || 0
       }
 
-      if (this.value.bracket.hcount === 1 && ringbondIndex === 0) {
-        index = 2
-      }
-
-      if (this.value.bracket.hcount === 1 && ringbondIndex === 1) {
-        if (this.neighbours.length < 3) {
-          index = 2
-        } else {
-          index = 3
-        }
-      }
-
-      if (this.value.bracket.hcount === null && ringbondIndex === 0) {
-        index = 1
-      }
-
-      if (this.value.bracket.hcount === null && ringbondIndex === 1) {
-        if (this.neighbours.length < 3) {
-          index = 1
-        } else {
-          index = 2
-        }
-      }
+      // The partners are added in the order the rings are closed, not in the order of the digits
+      index += this.ringbondIndices.filter(i => i < ringbondIndex).length
 
       this.neighbours.splice(index, 0, vertexId)
     } else {
       this.neighbours.push(vertexId)
     }
 
+    this.ringbondIndices.push(ringbondIndex)
     this.neighbourCount++
   }
 
@@ -1,40 +1,77 @@
 const crypto = require('crypto')
-const fs = require('fs-extra')
 
 const _ = require('lodash')
 const { JSDOM } = require('jsdom')
 const { xml2js, js2xml } = require('xml-js')
 
 const Parser = require('../drawer/Parser')
+const Drawer = require('../drawer/Drawer')
+const MolReader = require('../drawer/MolReader')
+const MolWriter = require('../drawer/MolWriter')
+const Elements = require('../drawer/Elements')
 const SvgDrawer = require('../drawer/SvgDrawer')
 const SVG = require('./SVG')
-const { bondLabels } = require('./types')
-const { getPositionInfoFromSvg, resizeImage, drawMasksAroundTextElements } = require('./browser')
-const { getElementGraph } = require('./misc')
-
-function Renderer({ outputDirectory, size, fonts, fontWeights, concurrency, outputSvg, outputLabels, outputFlat }) {
+const Random = require('./random')
+const { loadStyle, sample, sampleOptions, sampleColormap, sampleDegradations, sampleDistractors } = require('./style')
+const { degrade, isGeometric, projectiveTransform, projectPoints } = require('./degrade')
+const { addDistractors, nestedSvg } = require('./distractors')
+const { arrange, compose, composeSvg } = require('./canvas')
+const { instanceIndex, labelMapSvg, decodeLabelMap, offsetLabelMap, encodeLabelMaps } = require('./maps')
+const { inStage } = require('./failures')
+const { bondLabels, moleculeLabel } = require('./types')
+const browser = require('./browser')
+const geometry = require('./geometry')
+const { getElementGraph, parsePolygon, convexHull } = require('./misc')
+const { createRasterizer, encodeImage } = require('./raster')
+const { yoloLines } = require('./yolo')
+const { createSink } = require('./sink')
+const { serializeGraph, transformMolecule } = require('./molecule')
+
+function Renderer({ outputDirectory, size, fonts, fontWeights, concurrency, outputSvg, outputLabels, outputFlat, outputYolo, outputGraph, outputMol, outputSdf, outputMaps, outputTar, shardDepth, shardWidth, worker, moleculesPerImage, molVersion, keepCoordinates, nameById, geometry, rasterizer, imageFormat, fontDirectory, seed, style }) {
   // aneb: find out why this does not work in above scope ...
   const colorMap = require('./colors')
 
   this.parser = Parser
+  this.drawer = new Drawer({})
   this.outputDirectory = outputDirectory
   this.size = size
   this.fonts = fonts
   this.fontWeights = fontWeights
+  this.style = style || loadStyle(null, { fonts, fontWeights })
   this.colorMap = colorMap
   this.concurrency = concurrency
   this.outputSvg = outputSvg
   this.outputLabels = outputLabels
   this.outputFlat = outputFlat
+  this.outputYolo = outputYolo
+  this.outputGraph = outputGraph
+  this.outputMol = outputMol
+  this.outputSdf = outputSdf
+  this.outputMaps = outputMaps
+  this.molVersion = molVersion || 'V2000'
+  this.moleculesPerImage = moleculesPerImage || 1
+  this.keepCoordinates = keepCoordinates
+  this.nameById = !!nameById
+  this.geometry = geometry || 'node'
   this.waitOptions = { waitUntil: 'domcontentloaded', timeout: 10000 }
+  this.imageFormat = imageFormat || 'jpg'
+  this.rasterizer = createRasterizer(rasterizer || 'puppeteer', { waitOptions: this.waitOptions, fontDirectory })
+  this.sink = createSink({ outputDirectory, outputFlat, outputTar, shardDepth, shardWidth, worker })
 
-  this.svgHelper = new SVG()
+  // Reseeded for every SMILES, so that results do not depend on batch order or concurrency
+  this.seed = seed === undefined ? false : seed
+  this.random = new Random(false)
+  this.svgHelper = new SVG(this.random)
 
   const { document, XMLSerializer } = (new JSDOM('')).window
   this.document = document
   this.XMLSerializer = new XMLSerializer()
 }
 
+Renderer.prototype.needsBrowser = function() {
+  return this.geometry === 'browser' || this.rasterizer.needsBrowser
+}
+
 Renderer.prototype.id = function(x) {
   return crypto.createHash('sha256').update(x).digest('hex')
 }
@@ -48,12 +85,28 @@ Renderer.prototype.randomColorMap = function(keys) {
   const map = {}
   for (const key of keys) {
     // https://stackoverflow.com/questions/5092808/how-do-i-randomly-generate-html-hex-color-codes-using-javascript
-    map[key] = '#000000'.replace(/0/g, function() { return (~~(Math.random() * 16)).toString(16) })
+    map[key] = '#000000'.replace(/0/g, () => (~~(this.random.next() * 16)).toString(16))
   }
 
   return map
 }
 
+Renderer.prototype.colormapColors = function(colormap, baseValue) {
+  switch (colormap.name) {
+    case 'default':
+      return this.colorMap
+    case 'mono':
+      return { C: '#000', BACKGROUND: '#fff' }
+    case 'random': {
+      const background = sample(colormap.background || { type: 'uniform', min: 200, max: 255 }, this.random, baseValue)
+      const gray = Math.round(Math.min(Math.max(background, 0), 255)).toString(16).padStart(2, '0')
+      return { ...this.randomColorMap(Elements.symbols), BACKGROUND: '#' + gray.repeat(3) }
+    }
+    default:
+      return { BACKGROUND: '#fff', ...colormap.colors }
+  }
+}
+
 Renderer.prototype.makeEdgeAttributesNumeric = function(edge) {
   // aneb: one can only read html attributes as strings, postprocessing is done in one place to avoid handling
   // all types of bonds in browser code which cannot be debugged
@@ -71,11 +124,21 @@ Renderer.prototype.makeEdgeAttributesNumeric = function(edge) {
   return edge
 }
 
+Renderer.prototype.svgDocument = function(xml) {
+  return new JSDOM(xml, { contentType: 'image/svg+xml' }).window.document
+}
+
 Renderer.prototype.positionInfoFromSvgXml = async function(page, xml) {
-  // aneb: need to open browser, getBBox is not available via jsdom as it does not render
-  await page.setContent(xml, this.waitOptions)
+  let dom = null
+
+  if (this.geometry === 'browser') {
+    // aneb: need to open browser, getBBox is not available via jsdom as it does not render
+    await page.setContent(xml, this.waitOptions)
+    dom = await page.evaluate(browser.getPositionInfoFromSvg)
+  } else {
+    dom = geometry.getPositionInfoFromSvg(this.svgDocument(xml))
+  }
 
-  const dom = await page.evaluate(getPositionInfoFromSvg)
   dom.edges = dom.edges.map(e => this.makeEdgeAttributesNumeric(e))
 
   return {
@@ -144,38 +207,140 @@ Renderer.prototype.groupLabels = function(labels) {
   return _.sortBy(result, 'id')
 }
 
-Renderer.prototype.saveResizedImage = async function(page, smiles, graph, svg, fileName, quality, jsonOnly = false) {
-  await page.setContent(svg, this.waitOptions)
-  // TODO aneb: images are not resized anymore, clean up code later
-  let [updatedSvg, labels, matrix] = await page.evaluate(resizeImage)
+Renderer.prototype.maskedSvgFromSvgXml = async function(page, svg) {
+  if (this.geometry === 'browser') {
+    await page.setContent(svg, this.waitOptions)
+    // TODO aneb: images are not resized anymore, clean up code later
+    const [updatedSvg, labels, matrix] = await page.evaluate(browser.resizeImage)
+
+    await page.setContent(updatedSvg, this.waitOptions)
+    return [await page.evaluate(browser.drawMasksAroundTextElements), labels, matrix]
+  }
+
+  const [updatedSvg, labels, matrix] = geometry.resizeImage(this.svgDocument(svg))
+  return [geometry.drawMasksAroundTextElements(this.svgDocument(updatedSvg)), labels, matrix]
+}
+
+Renderer.prototype.addElements = function(labels, graph) {
+  // Text labels carry the element of their vertex, it is the class used by the dataset exporters. Aromatic atoms
+  // such as [se] have the class of their element
+  return labels.map(l => {
+    if (!l.id.startsWith('vertex-id-')) {
+      return l
+    }
 
-  await page.setContent(updatedSvg, this.waitOptions)
-  updatedSvg = await page.evaluate(drawMasksAroundTextElements)
+    const vertex = graph.vertices[Number(l.id.replace('vertex-id-', ''))]
+    return { ...l, element: Elements.normalize(vertex.value.element) }
+  })
+}
+
+Renderer.prototype.addInstances = function(labels, graph, offset = 0) {
+  // Atoms and bonds are linked to their pixels in the instance map, distractors are not part of the maps
+  return labels.map(l => /^(vertex|edge)-id-/.test(l.id) ? { ...l, instance: instanceIndex(l.id, graph) + offset } : l)
+}
+
+Renderer.prototype.writeImage = function(sample, name, rendered, quality, degradation = []) {
+  let move = points => points
+
+  // Rotation, skew and perspective move the pixels, labels and coordinates follow through the same projective
+  // transform. The labelled image only gets the geometric part, noise would not change its labels but costs time
+  if (isGeometric(degradation)) {
+    move = inStage('degrade', () => projectPoints(projectiveTransform(degradation, rendered.width, rendered.height)))
+  }
+
+  const image = inStage('degrade', () => degrade(rendered, degradation, this.random, { photometric: name === 'x' }))
+  const write = sample.write(`${name}.${this.imageFormat}`, inStage('rasterize', () => encodeImage(image, this.imageFormat, quality)))
+
+  return { file: sample.file(`${name}.${this.imageFormat}`), width: image.width, height: image.height, move, write }
+}
+
+Renderer.prototype.labelMaps = async function(page, svg, graph) {
+  // Drawn from the masked svg of the image, so atoms and bonds cover exactly the pixels they cover there
+  const { xml, classes } = labelMapSvg(svg, graph)
+  const image = await inStage('rasterize', () => this.rasterizer.rasterize(page, xml))
+
+  return { image: decodeLabelMap(image, classes), classes }
+}
+
+Renderer.prototype.writeLabelMaps = function(sample, { image, classes }, degradation = []) {
+  const moved = inStage('degrade', () => degrade(image, degradation, this.random, { photometric: false, nearest: true }))
+  const maps = inStage('rasterize', () => encodeLabelMaps(moved, classes))
+
+  return Promise.all([sample.write('y.classes.png', maps.classes), sample.write('y.instances.png', maps.instances)])
+}
+
+Renderer.prototype.saveResizedImage = async function(page, smiles, graph, svg, sample, name, quality, jsonOnly = false, meta = null, degradation = []) {
+  let [updatedSvg, labels, matrix] = await this.maskedSvgFromSvgXml(page, svg)
 
   const ops = []
+  const result = { file: null, width: null, height: null, labels: [] }
+  let move = points => points
 
   if (!jsonOnly) {
-    const updatedSvgElement = await page.$('svg')
-    const capture = updatedSvgElement.screenshot({
-      path: `${fileName}.jpg`,
-      omitBackground: false,
-      quality: quality
-    })
-    ops.push(capture)
+    const rendered = await inStage('rasterize', () => this.rasterizer.rasterize(page, updatedSvg))
+    const image = this.writeImage(sample, name, rendered, quality, degradation)
+
+    result.file = image.file
+    result.width = image.width
+    result.height = image.height
+    move = image.move
+    ops.push(image.write)
+
+    // The maps belong to the clean image, the labelled copy has the same geometry but extra shapes
+    if (this.outputMaps && name === 'x') {
+      ops.push(this.writeLabelMaps(sample, await this.labelMaps(page, updatedSvg, graph), degradation))
+    }
   }
 
-  if (this.outputLabels && labels.length) {
+  if (labels.length) {
     labels = labels
       .map(l => this.cleanupLabel(l))
-      .map(l => ({ ...l, xy: this.svgHelper.transformPoints(l, matrix) }))
+      .map(l => ({ ...l, xy: move(this.svgHelper.transformPoints(l, matrix)) }))
+
+    labels = this.addElements(this.groupLabels(labels), graph)
+
+    if (this.outputMaps) {
+      labels = this.addInstances(labels, graph)
+    }
 
-    labels = this.groupLabels(labels)
+    result.labels = labels
+  }
 
+  if (this.outputLabels && labels.length) {
     const elementGraph = getElementGraph(graph, labels)
-    const result = { labels, smiles, elementGraph }
+    const json = { labels, smiles, elementGraph }
+
+    // Identifiers and passthrough columns of the input link the image back to its source
+    if (meta && meta.compoundId !== null) {
+      json.compoundId = meta.compoundId
+    }
+
+    if (meta && meta.properties) {
+      json.properties = meta.properties
+    }
+
+    if (meta && meta.split) {
+      json.split = meta.split
+      json.scaffold = meta.scaffold
+    }
+
+    if (meta) {
+      json.canonicalSmiles = meta.canonicalSmiles
+      json.descriptors = meta.descriptors
+      json.seed = meta.seed
+      json.options = meta.options
+    }
+
+    if (meta && degradation.length) {
+      json.degradations = degradation
+    }
+
+    if (this.outputGraph && meta) {
+      json.molecule = transformMolecule(meta.molecule, points => move(this.svgHelper.transformPoints({ points }, matrix)))
+    }
 
     // ops.push(fs.writeFile(`${fileName}-meta.json`, JSON.stringify({ smiles }, null, 2)))
-    ops.push(fs.writeFile(`${fileName}.json`, JSON.stringify(result, null, 2)))
+    ops.push(sample.write(`${name}.json`, JSON.stringify(json, null, 2)))
   }
 
   if (this.outputSvg) {
@@ -183,57 +348,88 @@ Renderer.prototype.saveResizedImage = async function(page, smiles, graph, svg, f
       spaces: 2,
       compact: false
     })
-    ops.push(fs.writeFile(`${fileName}-after.svg`, updatedSvgXml))
+    ops.push(sample.write(`${name}-after.svg`, updatedSvgXml))
   }
 
   await Promise.all(ops)
+
+  return result
 }
 
-Renderer.prototype.smilesToSvgXml = function(smiles) {
-  const tree = this.parser.parse(smiles)
+Renderer.prototype.parse = function(smiles) {
+  // Inputs from sdf files are mol blocks, the drawer loads the molecule like a parse tree
+  if (MolReader.isMolBlock(smiles)) {
+    return MolReader.read(smiles)
+  }
+
+  return this.parser.parse(smiles)
+}
 
+Renderer.prototype.baseValue = function() {
   // aneb: need to keep layout relatively constant
-  const baseValue = Math.round(this.size * 0.1)
+  return Math.round(this.size * 0.1)
+}
+
+Renderer.prototype.sampleDrawing = function() {
+  const baseValue = this.baseValue()
 
   const options = {
-    overlapSensitivity: 1e-1,
-    overlapResolutionIterations: 50,
-    strokeWidth: _.random(5, 10),
-    gradientOffset: _.random(0, 100),
-    wedgeBaseWidth: baseValue * _.random(0.2, 0.4),
-    dashedWedgeSpacing: baseValue * _.random(0.04, 0.05),
-    dashedWedgeWidth: baseValue * _.random(0.6, 0.8),
-    bondThickness: baseValue * _.random(0.1, 0.2),
-    bondLength: baseValue * _.random(2, 4),
-    shortBondLength: _.random(0.7, 0.85),
-    bondSpacing: baseValue * _.random(0.2, 0.5),
-    font: _.sample(this.fonts),
-    fontWeight: _.sample(this.fontWeights),
-    fontSizeLarge: baseValue * _.random(0.8, 0.95),
-    fontSizeSmall: baseValue * _.random(0.5, 0.65),
-    padding: baseValue * _.random(2, 6),
-    terminalCarbons: _.sample([true, false]),
-    explicitHydrogens: _.sample([true, false])
-  }
-
-  const mono = { C: '#000', BACKGROUND: '#fff' }
-  const random = this.randomColorMap(Object.keys(this.colorMap))
-
-  const backgroundColor = '#' + _.random(200, 255).toString(16).repeat(3)
-  const randomWithWhiteBackGround = { ...random, BACKGROUND: backgroundColor }
-
-  const colormaps = [this.colorMap, mono, randomWithWhiteBackGround]
-  const colors = _.sample(colormaps)
+    ...sampleOptions(this.style, this.random, baseValue),
+    keepCoordinates: !!this.keepCoordinates
+  }
+
+  const colormap = sampleColormap(this.style, this.random)
+  const colors = this.colormapColors(colormap, baseValue)
+
+  return { options, colormap, colors }
+}
+
+Renderer.prototype.smilesToSvgXml = function(smiles, drawing = null) {
+  const tree = inStage('parse', () => this.parse(smiles))
+  const baseValue = this.baseValue()
+
+  // Molecules on one canvas share the drawing options, like structures on the same page
+  const { options, colormap, colors } = drawing || this.sampleDrawing()
   const style = `stroke-width: 0px; background-color: ${colors.BACKGROUND}`
   const svg = this.document.createElementNS('http://www.w3.org/2000/svg', 'svg')
   const drawer = new SvgDrawer({ colors, options })
 
-  drawer.draw(tree, svg)
+  inStage('layout', () => drawer.layout(tree, svg))
+  inStage('render', () => drawer.render())
 
   // aneb: must set other properties after drawing
   this.svgHelper.update(svg, { style, smiles })
 
-  return [this.XMLSerializer.serializeToString(svg), drawer.preprocessor.graph]
+  // Distractors are drawn into both images and labelled next to the molecule in addLabels
+  const plan = sampleDistractors(this.style, this.random, baseValue)
+  const { boxes: distractors, shift } = plan.length
+    ? inStage('render', () => addDistractors(svg, plan, {
+      helper: this.svgHelper,
+      random: this.random,
+      options,
+      colors,
+      drawMolecule: neighbour => this.nestedMolecule(neighbour, options, colors)
+    }))
+    : { boxes: [], shift: [0, 0] }
+
+  const graph = drawer.preprocessor.graph
+  const molecule = serializeGraph(graph, { x: drawer.svgWrapper.offsetX + shift[0], y: drawer.svgWrapper.offsetY + shift[1] })
+
+  const descriptors = drawer.preprocessor.getDescriptors()
+
+  return [this.XMLSerializer.serializeToString(svg), graph, molecule, { ...options, colormap: colormap.name, colors }, distractors, descriptors]
+}
+
+Renderer.prototype.nestedMolecule = function(smiles, options, colors) {
+  // Same style as the molecule itself, it is masked on its own as its atoms are hidden from the labels
+  const svg = this.document.createElementNS('http://www.w3.org/2000/svg', 'svg')
+  const drawer = new SvgDrawer({ colors, options })
+
+  drawer.layout(this.parse(smiles), svg)
+  drawer.render()
+
+  const masked = geometry.drawMasksAroundTextElements(this.svgDocument(this.XMLSerializer.serializeToString(svg)))
+  return this.svgDocument(nestedSvg(masked, 'distractor')).documentElement
 }
 
 Renderer.prototype.getCornersAligned = function({ x, y, width: w, height: h }) {
@@ -262,7 +458,7 @@ Renderer.prototype.drawPoints = function({ id, label, points, text }) {
   const color = this.svgHelper.randomColor()
 
   // aneb: try to avoid overlapping points by using different sizes
-  const size = _.random(5, 10)
+  const size = this.random.lodash.random(5, 10)
   return points.map(([x, y]) => {
     return this.svgHelper.createElement('circle', {
       'label-id': `${id}`,
@@ -276,7 +472,7 @@ Renderer.prototype.drawPoints = function({ id, label, points, text }) {
   })
 }
 
-Renderer.prototype.addLabels = function({ dom, xml }) {
+Renderer.prototype.addLabels = function({ dom, xml }, distractors = []) {
   const svg = new JSDOM(xml).window.document.documentElement.querySelector('svg')
 
   const nodeCorners = dom.nodes.map(n => ({ ...n, points: this.getCornersAligned(n) }))
@@ -288,30 +484,253 @@ Renderer.prototype.addLabels = function({ dom, xml }) {
   const hullBox = hull.map(edge => this.drawPoints(edge))
   edgeLabels.push(hullBox)
 
-  this.svgHelper.appendChildren(svg, [...nodeLabels, ...edgeLabels])
+  const distractorLabels = distractors.map(d => this.drawPoints({ ...d, points: this.getCornersAligned(d) }))
+
+  this.svgHelper.appendChildren(svg, [...nodeLabels, ...edgeLabels, ...distractorLabels])
 
   return this.XMLSerializer.serializeToString(svg)
 }
 
-Renderer.prototype.imageFromSmilesString = async function(page, smiles) {
-  const [svgXmlWithoutLabels, graph] = this.smilesToSvgXml(smiles)
+Renderer.prototype.outputName = function(smiles, compoundId = null) {
+  // Compound ids only name the outputs when asked to, characters that are unsafe in file names are replaced
+  if (this.nameById && compoundId !== null && compoundId !== '') {
+    const name = String(compoundId).replace(/[^\w.-]/g, '_')
+
+    if (!/^\.+$/.test(name)) {
+      return name
+    }
+  }
+
+  return this.id(smiles)
+}
+
+Renderer.prototype.canonicalSmiles = function(smiles) {
+  // No layout, a molecule that cannot be parsed keeps its input and fails later in the worker anyway
+  try {
+    this.drawer.initDraw(this.parse(smiles))
+    return this.drawer.getCanonicalSmiles()
+  } catch (e) {
+    return smiles
+  }
+}
+
+Renderer.prototype.canvasName = function(molecules) {
+  return this.outputName(molecules.map(m => m.canonicalSmiles || this.canonicalSmiles(m.smiles)).join(' '))
+}
+
+Renderer.prototype.outputSuffixes = function() {
+  const suffixes = [`x.${this.imageFormat}`, `y.${this.imageFormat}`]
+
+  if (this.outputLabels) {
+    suffixes.push('y.json')
+  }
+
+  if (this.outputSvg) {
+    suffixes.push('x-after.svg', 'y-after.svg')
+  }
+
+  if (this.outputYolo) {
+    suffixes.push('x.txt')
+  }
+
+  if (this.outputMol) {
+    suffixes.push(this.moleculesPerImage > 1 ? 'x.sdf' : 'x.mol')
+  }
+
+  if (this.outputMaps) {
+    suffixes.push('y.classes.png', 'y.instances.png')
+  }
+
+  return suffixes
+}
+
+Renderer.prototype.isComplete = async function(id, split = null) {
+  return this.sink.isComplete(id, this.outputSuffixes(), split)
+}
+
+Renderer.prototype.close = async function() {
+  await this.sink.close()
+}
+
+Renderer.prototype.imageFromSmilesString = async function(page, smiles, { canonicalSmiles = this.canonicalSmiles(smiles), compoundId = null, properties = null, split = null, scaffold = null } = {}) {
+  this.random.seed(this.seed === false ? false : `${this.seed}:${smiles}`)
+
+  const [svgXmlWithoutLabels, graph, molecule, options, distractors, descriptors] = this.smilesToSvgXml(smiles)
   const { dom, xml } = await this.positionInfoFromSvgXml(page, svgXmlWithoutLabels)
 
   // aneb: these are only at the original size, the final labels are computed after image has been resized
-  const svgXmlWithLabels = this.addLabels({ dom, xml })
-  const id = this.id(smiles)
+  const svgXmlWithLabels = this.addLabels({ dom, xml }, distractors)
+  const id = this.outputName(canonicalSmiles, compoundId)
+
+  // The clean image is the sample, labels are taken from the labelled copy, both share the same geometry
+  const record = (x, y) => ({ id, compoundId, properties, split, smiles, file: x.file, width: x.width, height: x.height, labels: y.labels })
+
+  // Drawn once per molecule, both images must be degraded with the same geometry
+  const degradation = sampleDegradations(this.style, this.random)
+
+  const sample = await this.sink.begin(id, split)
+  const x = await this.saveResizedImage(page, smiles, graph, svgXmlWithoutLabels, sample, 'x', 100, false, null, degradation)
+  const y = await this.saveResizedImage(page, smiles, graph, svgXmlWithLabels, sample, 'y', 100, false, { molecule, options, descriptors, canonicalSmiles, seed: this.seed, compoundId, properties, split, scaffold }, degradation)
+
+  const result = record(x, y)
+
+  if (this.outputYolo) {
+    await sample.write('x.txt', yoloLines(result, this.outputYolo) + '\n')
+  }
+
+  // The mol block holds the layout coordinates the images were drawn from, the sdf is assembled by the parent
+  if (this.outputMol || this.outputSdf) {
+    const molBlock = MolWriter.write(graph, { version: this.molVersion, name: id, comment: smiles })
+
+    if (this.outputMol) {
+      await sample.write('x.mol', molBlock)
+    }
+
+    if (this.outputSdf) {
+      result.molBlock = molBlock
+    }
+  }
+
+  // Samples of tar shards are only stored once their shard is renamed, which can be many samples later
+  const { files, stored } = await this.sink.end(sample)
+  return { ...result, files, stored }
+}
+
+Renderer.prototype.renderMolecule = async function(page, smiles, drawing) {
+  const [svgXmlWithoutLabels, graph, molecule, options, distractors, descriptors] = this.smilesToSvgXml(smiles, drawing)
+  const { dom, xml } = await this.positionInfoFromSvgXml(page, svgXmlWithoutLabels)
+  const svgXmlWithLabels = this.addLabels({ dom, xml }, distractors)
+  const result = { graph, molecule, options, descriptors }
+
+  for (const [name, svg] of [['x', svgXmlWithoutLabels], ['y', svgXmlWithLabels]]) {
+    const [updatedSvg, labels, matrix] = await this.maskedSvgFromSvgXml(page, svg)
+    const image = await inStage('rasterize', () => this.rasterizer.rasterize(page, updatedSvg))
+    result[name] = { updatedSvg, labels: labels.map(l => this.cleanupLabel(l)), matrix, image }
+  }
+
+  if (this.outputMaps) {
+    result.maps = await this.labelMaps(page, result.x.updatedSvg, graph)
+  }
+
+  return result
+}
+
+Renderer.prototype.moleculeLabels = function(part, index, position, move) {
+  // Labels keep the ids of their own molecule, the molecule index tells them apart on the canvas
+  const offset = points => move(points.map(([x, y]) => [_.round(x + position[0], 4), _.round(y + position[1], 4)]))
+  let labels = this.addElements(this.groupLabels(part.y.labels.map(l => ({ ...l, xy: offset(this.svgHelper.transformPoints(l, part.y.matrix)) }))), part.graph)
+    .map(l => ({ ...l, molecule: index }))
+
+  if (part.maps) {
+    labels = this.addInstances(labels, part.graph, part.maps.offset)
+  }
+
+  // The instance mask is the hull of all atom and bond labels, a molecule without any falls back to its image
+  const { width, height } = part.y.image
+  const points = labels.length ? labels.flatMap(l => parsePolygon(l.xy)) : offset([[0, 0], [width, 0], [width, height], [0, height]])
+  const instance = { id: `molecule-${index}`, label: moleculeLabel, xy: convexHull(points).map(p => p.join(',')).join(' '), text: part.smiles, molecule: index }
+
+  return [labels, instance, offset]
+}
+
+Renderer.prototype.imageFromMolecules = async function(page, molecules, { split = null } = {}) {
+  const smiles = molecules.map(m => m.smiles).join(' ')
+  this.random.seed(this.seed === false ? false : `${this.seed}:${smiles}`)
+
+  const id = this.canvasName(molecules)
+  const drawing = this.sampleDrawing()
+  const parts = []
+
+  for (const molecule of molecules) {
+    parts.push({ ...molecule, ...await this.renderMolecule(page, molecule.smiles, drawing) })
+  }
+
+  const gap = Math.round(this.random.lodash.random(1, 3, true) * this.baseValue())
+  const { positions, width, height } = arrange(parts.map(p => p.x.image), gap, this.random)
+  const degradation = sampleDegradations(this.style, this.random)
+
+  const sample = await this.sink.begin(id, split)
+  const ops = []
+  const images = {}
 
-  if (!this.outputFlat) {
-    const target = `${this.outputDirectory}/${id}`
-    await fs.ensureDir(target)
-    await this.saveResizedImage(page, smiles, graph, svgXmlWithoutLabels, `${target}/x`, 100, false)
-    await this.saveResizedImage(page, smiles, graph, svgXmlWithLabels, `${target}/y`, 100, false)
-    return
+  // Instance indices continue from molecule to molecule, so every atom and bond of the canvas has its own
+  if (this.outputMaps) {
+    const classes = [0]
+
+    for (const part of parts) {
+      part.maps.offset = classes.length - 1
+      classes.push(...part.maps.classes.slice(1))
+    }
+
+    if (classes.length > 0x10000) {
+      throw new Error(`label maps hold at most 65535 atoms and bonds, got ${classes.length - 1}`)
+    }
+
+    const image = compose(parts.map(p => offsetLabelMap(p.maps.image, p.maps.offset)), positions, width, height)
+    ops.push(this.writeLabelMaps(sample, { image, classes }, degradation))
   }
 
-  // aneb: debugging only
-  await this.saveResizedImage(page, smiles, graph, svgXmlWithoutLabels, `${this.outputDirectory}/${id}-x`, 100, false)
-  await this.saveResizedImage(page, smiles, graph, svgXmlWithLabels, `${this.outputDirectory}/${id}-y`, 100, false)
+  for (const name of ['x', 'y']) {
+    images[name] = this.writeImage(sample, name, compose(parts.map(p => p[name].image), positions, width, height), 100, degradation)
+    ops.push(images[name].write)
+
+    if (this.outputSvg) {
+      ops.push(sample.write(`${name}-after.svg`, composeSvg(parts.map(p => p[name].updatedSvg), positions, width, height)))
+    }
+  }
+
+  const result = { id, compoundId: null, properties: null, split, smiles, file: images.x.file, width: images.x.width, height: images.x.height, labels: [], molecules: [] }
+  const entries = []
+
+  parts.forEach((part, index) => {
+    const [labels, instance, offset] = this.moleculeLabels(part, index, positions[index], images.y.move)
+    result.labels.push(...labels, instance)
+    result.molecules.push({ index, smiles: part.smiles, canonicalSmiles: part.canonicalSmiles ?? null, compoundId: part.compoundId ?? null, properties: part.properties ?? null })
+
+    const entry = { ...result.molecules[index], polygon: instance.xy, descriptors: part.descriptors, elementGraph: getElementGraph(part.graph, labels) }
+
+    if (this.outputGraph) {
+      entry.molecule = transformMolecule(part.molecule, points => offset(this.svgHelper.transformPoints({ points }, part.y.matrix)))
+    }
+
+    entries.push(entry)
+  })
+
+  if (this.outputLabels) {
+    const json = { labels: result.labels, smiles, molecules: entries, seed: this.seed, options: parts[0].options }
+
+    if (split) {
+      json.split = split
+    }
+
+    if (degradation.length) {
+      json.degradations = degradation
+    }
+
+    ops.push(sample.write('y.json', JSON.stringify(json, null, 2)))
+  }
+
+  if (this.outputYolo) {
+    ops.push(sample.write('x.txt', yoloLines(result, this.outputYolo) + '\n'))
+  }
+
+  // A mol file holds one molecule, the molecules of a canvas are written as an sd file in canvas order
+  if (this.outputMol || this.outputSdf) {
+    parts.forEach((part, index) => {
+      result.molecules[index].molBlock = MolWriter.write(part.graph, { version: this.molVersion, name: `${id}-${index}`, comment: part.smiles })
+    })
+
+    if (this.outputMol) {
+      const records = result.molecules.map(m => MolWriter.getSdfRecord(m.molBlock, _.omitBy({ index: m.index, compoundId: m.compoundId, smiles: m.smiles }, _.isNil)))
+      ops.push(sample.write('x.sdf', records.join('')))
+    }
+  }
+
+  await Promise.all(ops)
+
+  // Samples of tar shards are only stored once their shard is renamed, which can be many samples later
+  const { files, stored } = await this.sink.end(sample)
+  return { ...result, files, stored }
 }
 
 module.exports = Renderer
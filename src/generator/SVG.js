@@ -3,9 +3,11 @@ const Vector2 = require('../drawer/Vector2')
 const { JSDOM } = require('jsdom')
 
 const { bondLabels } = require('./types')
+const Random = require('./random')
 
-function SVG() {
+function SVG(random = new Random()) {
   this.document = new JSDOM('').window.document
+  this.random = random
 }
 
 SVG.prototype.update = function(element, attributes) {
@@ -120,9 +122,9 @@ SVG.prototype.getEdgePointsOfBoxAroundLine = function({ x1, y1, x2, y2 }) {
 }
 
 SVG.prototype.randomColor = function(seed = 'ff') {
-  const c1 = Math.floor(Math.random() * 16777215).toString(16).slice(-2)
-  const c2 = Math.floor(Math.random() * 16777215).toString(16).slice(-2)
-  const [r, g, b] = _.shuffle([c1, seed, c2])
+  const c1 = Math.floor(this.random.next() * 16777215).toString(16).slice(-2)
+  const c2 = Math.floor(this.random.next() * 16777215).toString(16).slice(-2)
+  const [r, g, b] = this.random.lodash.shuffle([c1, seed, c2])
   return `#${r}${g}${b}`
 }
 
@@ -133,14 +135,24 @@ SVG.prototype.hull = function(edges) {
     return edges[0]
   }
 
-  const { x1: p11, y1: p12, x2: p21, y2: p22 } = edges[0]
-  const { x1: p31, y1: p32, x2: p41, y2: p42 } = edges[0].label === bondLabels.triple ? edges.slice(-2)[0] : edges.slice(-1)[0]
-  const points = [[p11, p12], [p21, p22], [p31, p32], [p41, p42]]
+  const first = edges[0]
+  const last = first.label === bondLabels.triple ? edges.slice(-2)[0] : edges.slice(-1)[0]
+  const [a1, a2, b1, b2] = [[first.x1, first.y1], [first.x2, first.y2], [last.x1, last.y1], [last.x2, last.y2]]
+    .map(([x, y]) => new Vector2(Number(x), Number(y)))
 
-  // aneb: no matter the orientation, this orders the points such that the polygon can be drawn
-  // clockwise or counterclockwise, therefore not having crossing paths
-  edges[0].points = _.sortBy(points, [1, 0])
-  return edges[0]
+  // The outer lines are moved apart by half the stroke width, so a single line becomes a box as wide as it is drawn.
+  // The direction of the longer line is used, the first dash of a dashed wedge has almost no length.
+  const along = a2.distanceSq(a1) >= b2.distanceSq(b1) ? Vector2.subtract(a2, a1) : Vector2.subtract(b2, b1)
+  const normal = new Vector2(-along.y, along.x).normalize()
+  const outward = Vector2.dot(Vector2.subtract(Vector2.midpoint(b1, b2), Vector2.midpoint(a1, a2)), normal) < 0 ? -1 : 1
+  const pad = Vector2.multiplyScalar(normal, outward * (Number(first.strokeWidth) || 1) / 2)
+  const [c1, c2] = Vector2.dot(Vector2.subtract(a2, a1), Vector2.subtract(b2, b1)) < 0 ? [b2, b1] : [b1, b2]
+
+  // Ordered around the box, so the polygon has no crossing paths
+  const points = [Vector2.subtract(a1, pad), Vector2.subtract(a2, pad), Vector2.add(c2, pad), Vector2.add(c1, pad)]
+
+  first.points = points.map(p => [p.x, p.y])
+  return first
 }
 
 SVG.prototype.transformPoints = function(label, matrix) {
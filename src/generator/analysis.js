@@ -0,0 +1,127 @@
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads')
+const Parser = require('../drawer/Parser')
+const Drawer = require('../drawer/Drawer')
+const MolReader = require('../drawer/MolReader')
+const { scaffoldKey } = require('./split')
+
+// The parent needs the canonical SMILES of every molecule to find duplicates, its descriptors for the filters and its
+// scaffold for the splits. One parse without layout gives all of them
+function Analysis({ descriptors = false, scaffold = false } = {}) {
+  this.descriptors = descriptors
+  this.scaffold = scaffold
+  this.drawer = new Drawer({})
+}
+
+Analysis.prototype.analyze = function(smiles) {
+  // A molecule that cannot be parsed keeps its input and fails later in the worker anyway
+  try {
+    this.drawer.initDraw(MolReader.isMolBlock(smiles) ? MolReader.read(smiles) : Parser.parse(smiles))
+
+    return {
+      canonicalSmiles: this.drawer.getCanonicalSmiles(),
+      descriptors: this.descriptors ? this.drawer.getDescriptors() : null,
+      scaffold: this.scaffold ? scaffoldKey(this.drawer.graph) : null
+    }
+  } catch (e) {
+    return { canonicalSmiles: smiles, descriptors: null, scaffold: null }
+  }
+}
+
+// Parsing every input in the parent would limit the whole run to one core, the analyses run in threads instead.
+// Batches are handed out in turn and read a few ahead, the molecules come out in the order they went in
+function AnalysisPool({ threads = 1, batchSize = 100, descriptors = false, scaffold = false } = {}) {
+  this.threads = threads
+  this.batchSize = batchSize
+  this.options = { descriptors, scaffold }
+}
+
+AnalysisPool.prototype.spawn = function() {
+  const worker = new Worker(__filename, { workerData: { analysis: this.options } })
+  const waiting = []
+
+  worker.on('message', results => waiting.shift().resolve(results))
+  worker.on('error', error => waiting.splice(0).forEach(({ reject }) => reject(error)))
+  worker.on('exit', code => waiting.splice(0).forEach(({ reject }) => reject(new Error(`analysis thread exited with code ${code}`))))
+
+  return {
+    worker,
+    analyze: smiles => new Promise((resolve, reject) => {
+      waiting.push({ resolve, reject })
+      worker.postMessage(smiles)
+    })
+  }
+}
+
+// Takes and yields objects with a smiles property, the analysis is added to them
+AnalysisPool.prototype.run = async function * (molecules) {
+  if (!this.threads) {
+    const analysis = new Analysis(this.options)
+
+    for await (const molecule of molecules) {
+      yield { ...molecule, ...analysis.analyze(molecule.smiles) }
+    }
+
+    return
+  }
+
+  const iterator = molecules[Symbol.asyncIterator]()
+  const threads = Array.from({ length: this.threads }, () => this.spawn())
+  const pending = []
+  let done = false
+  let turn = 0
+
+  const read = async() => {
+    const batch = []
+
+    while (batch.length < this.batchSize) {
+      const { value, done } = await iterator.next()
+
+      if (done) {
+        return { batch, done }
+      }
+
+      batch.push(value)
+    }
+
+    return { batch, done: false }
+  }
+
+  try {
+    while (!done || pending.length) {
+      while (!done && pending.length < 2 * this.threads) {
+        const { batch, done: end } = await read()
+        done = end
+
+        if (batch.length) {
+          const thread = threads[turn++ % this.threads]
+          const analyzed = thread.analyze(batch.map(m => m.smiles)).then(results => batch.map((m, i) => ({ ...m, ...results[i] })))
+
+          // Batches behind a failed one are never awaited
+          analyzed.catch(() => {})
+          pending.push(analyzed)
+        }
+      }
+
+      if (pending.length) {
+        yield * await pending.shift()
+      }
+    }
+  } finally {
+    // The consumer may stop early, e.g. once the amount is reached
+    await Promise.all(threads.map(({ worker }) => worker.terminate()))
+
+    if (!done && iterator.return) {
+      await iterator.return()
+    }
+  }
+}
+
+if (!isMainThread && workerData && workerData.analysis) {
+  const analysis = new Analysis(workerData.analysis)
+  parentPort.on('message', batch => parentPort.postMessage(batch.map(smiles => analysis.analyze(smiles))))
+}
+
+module.exports = {
+  Analysis,
+  AnalysisPool
+}
@@ -60,7 +60,8 @@ function getPositionInfoFromSvg() {
     const y2 = bond.getAttribute('y2')
     const text = 'n/a'
     const points = bond.getAttribute('points')
-    edges.push({ id, label, x, y, width, height, x1, y1, x2, y2, points, text })
+    const strokeWidth = Number((/stroke-width:\s*([\d.]+)/.exec(bond.getAttribute('style') || '') || [])[1]) || null
+    edges.push({ id, label, x, y, width, height, x1, y1, x2, y2, points, strokeWidth, text })
   }
 
   return { nodes, edges }
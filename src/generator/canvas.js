@@ -0,0 +1,64 @@
+// Several molecules are rendered one by one and pasted onto a shared canvas, their boxes never overlap
+// because every molecule keeps the rectangle of its own image
+
+const arrange = function(sizes, gap, random) {
+  // Shelf packing in input order, rows are about as wide as a square of the total area would be
+  const area = sizes.reduce((sum, { width, height }) => sum + (width + gap) * (height + gap), 0)
+  const rowWidth = Math.max(...sizes.map(s => s.width), Math.sqrt(area))
+  const jitter = () => Math.round(random.next() * gap)
+
+  const positions = []
+  let [x, y, rowHeight, width] = [gap, gap, 0, 0]
+
+  for (const size of sizes) {
+    if (x > gap && x + size.width > rowWidth + gap) {
+      ;[x, y, rowHeight] = [gap, y + rowHeight + gap, 0]
+    }
+
+    const position = [x + jitter(), y + jitter()]
+    positions.push(position)
+
+    x = position[0] + size.width + gap
+    rowHeight = Math.max(rowHeight, position[1] - y + size.height)
+    width = Math.max(width, x)
+  }
+
+  return { positions, width, height: y + rowHeight + gap }
+}
+
+const compose = function(images, positions, width, height) {
+  // The background is taken from the top left pixel of the first image, all molecules share the colormap
+  const data = Buffer.alloc(width * height * 4)
+  const background = images[0].data.subarray(0, 4)
+
+  for (let i = 0; i < data.length; i += 4) {
+    background.copy(data, i)
+  }
+
+  images.forEach((image, index) => {
+    const [x, y] = positions[index]
+
+    for (let row = 0; row < image.height; row++) {
+      const start = row * image.width * 4
+      Buffer.from(image.data.buffer, image.data.byteOffset, image.data.length)
+        .copy(data, ((y + row) * width + x) * 4, start, start + image.width * 4)
+    }
+  })
+
+  return { data, width, height }
+}
+
+const composeSvg = function(svgs, positions, width, height) {
+  // Debugging output only, ids of gradients and masks are made unique per molecule
+  const nested = svgs.map((svg, index) => svg
+    .replace(/^<svg/, `<svg x="${positions[index][0]}" y="${positions[index][1]}"`)
+    .replace(/(id="|url\(['"]?#)(line-\d+|text-mask)/g, `$1molecule-${index}-$2`))
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">${nested.join('')}</svg>`
+}
+
+module.exports = {
+  arrange,
+  compose,
+  composeSvg
+}
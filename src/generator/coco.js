@@ -0,0 +1,155 @@
+const fs = require('fs-extra')
+const path = require('path')
+const _ = require('lodash')
+const { pipeline } = require('stream/promises')
+
+const { labelVocabulary, labelClass, textLabel, distractorLabel, moleculeLabel } = require('./types')
+const { parsePolygon, orderPolygon, boundingBox, polygonArea } = require('./misc')
+
+// Collects the labels of all images of a run, records arrive one by one from the workers and are streamed to
+// partial files, annotations.json is assembled from them at the end without holding the run in memory. The partial
+// files are kept, a resumed run appends to them so annotations.json covers the images of earlier runs as well
+function CocoExporter(outputDirectory) {
+  this.outputDirectory = outputDirectory
+  this.file = path.join(outputDirectory, 'annotations.json')
+  this.streams = null
+  this.counts = { images: 0, annotations: 0 }
+
+  this.categories = labelVocabulary.map((name, index) => ({
+    id: index + 1,
+    name,
+    supercategory: name.startsWith(textLabel) ? 'atom' : [distractorLabel, moleculeLabel].includes(name) ? name : 'bond'
+  }))
+
+  this.categoryIds = _.fromPairs(this.categories.map(c => [c.name, c.id]))
+}
+
+// Every item is on a line of its own, the ids continue from the number of lines
+const countLines = async function(file) {
+  let count = 0
+
+  if (!await fs.pathExists(file)) {
+    return count
+  }
+
+  for await (const chunk of fs.createReadStream(file)) {
+    for (let i = chunk.indexOf(10); i !== -1; i = chunk.indexOf(10, i + 1)) {
+      count++
+    }
+  }
+
+  return count
+}
+
+CocoExporter.prototype.open = async function(append = false) {
+  const keys = ['images', 'annotations']
+  const files = _.fromPairs(keys.map(key => [key, `${this.file}.${key}.partial`]))
+
+  for (const key of keys) {
+    this.counts[key] = append ? await countLines(files[key]) : 0
+  }
+
+  this.streams = _.fromPairs(keys.map(key => [key, fs.createWriteStream(files[key], { flags: append ? 'a' : 'w' })]))
+}
+
+CocoExporter.prototype.push = function(key, item) {
+  this.streams[key].write((this.counts[key] ? ',' : '') + JSON.stringify(item) + '\n')
+  this.counts[key] += 1
+}
+
+CocoExporter.prototype.close = async function() {
+  for (const stream of Object.values(this.streams)) {
+    if (!stream.writableEnded) {
+      await new Promise(resolve => stream.end(resolve))
+    }
+  }
+}
+
+CocoExporter.prototype.add = function({ smiles, compoundId, properties, split, file, width, height, labels, molecules }) {
+  const imageId = this.counts.images + 1
+  const image = {
+    id: imageId,
+    file_name: path.relative(this.outputDirectory, file),
+    width,
+    height,
+    smiles
+  }
+
+  if (compoundId !== null && compoundId !== undefined) {
+    image.compound_id = compoundId
+  }
+
+  if (properties) {
+    image.properties = properties
+  }
+
+  if (split) {
+    image.split = split
+  }
+
+  // Canvases with several molecules list them in the order of their instance index
+  if (molecules) {
+    image.molecules = molecules.map(({ index, smiles, compoundId, properties }) => _.omitBy({ index, smiles, compound_id: compoundId, properties }, _.isNil))
+  }
+
+  this.push('images', image)
+
+  for (const label of labels) {
+    const categoryId = this.categoryIds[labelClass(label)]
+
+    if (!categoryId) {
+      console.warn(`skipping label '${label.id}' of unknown class '${labelClass(label)}'`)
+      continue
+    }
+
+    const polygon = orderPolygon(parsePolygon(label.xy))
+
+    const annotation = {
+      id: this.counts.annotations + 1,
+      image_id: imageId,
+      category_id: categoryId,
+      segmentation: [_.flatten(polygon)],
+      bbox: boundingBox(polygon).map(v => _.round(v, 4)),
+      area: _.round(polygonArea(polygon), 4),
+      iscrowd: 0,
+      label_id: label.id
+    }
+
+    if (label.molecule !== undefined) {
+      annotation.molecule = label.molecule
+    }
+
+    if (label.label === moleculeLabel) {
+      annotation.smiles = label.text
+    }
+
+    this.push('annotations', annotation)
+  }
+}
+
+CocoExporter.prototype.write = async function() {
+  const info = {
+    description: 'smilesDrawer generated depictions',
+    date_created: new Date().toISOString()
+  }
+
+  const out = fs.createWriteStream(this.file)
+  const write = text => new Promise((resolve, reject) => out.write(text, error => error ? reject(error) : resolve()))
+
+  // The arrays are copied from their partial files, only the enclosing object is serialized here
+  await write(`{"info":${JSON.stringify(info)}`)
+  await this.close()
+
+  for (const [key, stream] of Object.entries(this.streams)) {
+    await write(`,"${key}":[`)
+    await pipeline(fs.createReadStream(stream.path), out, { end: false })
+    await write(']')
+  }
+
+  await write(`,"categories":${JSON.stringify(this.categories)}}`)
+  await new Promise(resolve => out.end(resolve))
+
+  return this.file
+}
+
+module.exports = CocoExporter
@@ -1,15 +1,28 @@
+const Elements = require('../drawer/Elements')
+
+// Elements without a color of their own are drawn in their Jmol color, light ones are darkened so that they stay
+// readable on the white background
+const readable = function(color) {
+  const channels = [1, 3, 5].map(i => parseInt(color.slice(i, i + 2), 16))
+  const luminance = (0.299 * channels[0] + 0.587 * channels[1] + 0.114 * channels[2]) / 255
+  const scale = Math.min(1, 0.6 / luminance)
+
+  return '#' + channels.map(c => Math.round(c * scale).toString(16).padStart(2, '0')).join('')
+}
+
 const colors = {
+  ...Object.fromEntries(Elements.symbols.map(symbol => [symbol, readable(Elements.get(symbol).color)])),
   C: '#222',
   O: '#e74c3c',
   N: '#3498db',
   F: '#27ae60',
-  CL: '#16a085',
-  BR: '#d35400',
+  Cl: '#16a085',
+  Br: '#d35400',
   I: '#8e44ad',
   P: '#d35400',
   S: '#f1c40f',
   B: '#e67e22',
-  SI: '#e67e22',
+  Si: '#e67e22',
   H: '#222',
   BACKGROUND: '#fff'
 }
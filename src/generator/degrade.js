@@ -0,0 +1,323 @@
+const jpeg = require('jpeg-js')
+
+// Degradations run on raw RGBA pixels after rasterization, in the order listed here. Every degradation is applied
+// with its probability, parameters are distributions like the drawing options. Only rotate, skew and perspective move
+// pixels, they are combined into one projective transform that is applied to the labels as well
+const degradations = {
+  rotate: { angle: { type: 'uniform', min: -3, max: 3, float: true } },
+  skew: { x: { type: 'uniform', min: -0.05, max: 0.05, float: true }, y: { type: 'uniform', min: -0.05, max: 0.05, float: true } },
+  perspective: { x: { type: 'uniform', min: -0.1, max: 0.1, float: true }, y: { type: 'uniform', min: -0.1, max: 0.1, float: true } },
+  erode: { radius: { type: 'fixed', value: 1 } },
+  dilate: { radius: { type: 'fixed', value: 1 } },
+  blur: { sigma: { type: 'uniform', min: 0.5, max: 1.5, float: true } },
+  texture: { strength: { type: 'uniform', min: 0.05, max: 0.2, float: true }, scale: { type: 'uniform', min: 16, max: 64 } },
+  gaussianNoise: { sigma: { type: 'uniform', min: 5, max: 20, float: true } },
+  saltAndPepper: { amount: { type: 'uniform', min: 0.001, max: 0.01, float: true } },
+  binarize: { threshold: { type: 'uniform', min: 100, max: 180 } },
+  jpeg: { quality: { type: 'uniform', min: 20, max: 60 } }
+}
+
+const geometric = ['rotate', 'skew', 'perspective']
+
+const clamp = v => v < 0 ? 0 : v > 255 ? 255 : v
+
+const luminance = function(data, i) {
+  return 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]
+}
+
+const mapPixels = function(image, fn) {
+  const data = Buffer.from(image.data)
+
+  for (let i = 0; i < data.length; i += 4) {
+    fn(data, i, (i / 4) % image.width, Math.floor(i / 4 / image.width))
+  }
+
+  return { ...image, data }
+}
+
+const multiply = function(m, n) {
+  // 3x3 matrices as arrays in row-major order
+  return [0, 1, 2].flatMap(row => [0, 1, 2].map(column => m[3 * row] * n[column] + m[3 * row + 1] * n[3 + column] + m[3 * row + 2] * n[6 + column]))
+}
+
+const invert = function(m) {
+  const [a, b, c, d, e, f, g, h, i] = m
+  const cofactors = [e * i - f * h, c * h - b * i, b * f - c * e, f * g - d * i, a * i - c * g, c * d - a * f, d * h - e * g, b * g - a * h, a * e - b * d]
+  const det = a * cofactors[0] + b * cofactors[3] + c * cofactors[6]
+
+  return cofactors.map(v => v / det)
+}
+
+const project = function(m, [x, y]) {
+  const w = m[6] * x + m[7] * y + m[8]
+  return [(m[0] * x + m[1] * y + m[2]) / w, (m[3] * x + m[4] * y + m[5]) / w]
+}
+
+const projectiveTransform = function(plan, width, height) {
+  // Rotation, shear and perspective around the image center, the canvas grows so that nothing is cut off.
+  // Perspective tilts the image, the side at x (y) of the center shrinks by the factor 1 + x (1 + y) and the other grows
+  const [cx, cy] = [width / 2, height / 2]
+  let m = [1, 0, -cx, 0, 1, -cy, 0, 0, 1]
+
+  for (const { name, params } of plan) {
+    if (name === 'skew') {
+      m = multiply([1, params.x, 0, params.y, 1, 0, 0, 0, 1], m)
+    }
+
+    if (name === 'rotate') {
+      const angle = params.angle * Math.PI / 180
+      const [cos, sin] = [Math.cos(angle), Math.sin(angle)]
+      m = multiply([cos, -sin, 0, sin, cos, 0, 0, 0, 1], m)
+    }
+
+    if (name === 'perspective') {
+      m = multiply([1, 0, 0, 0, 1, 0, params.x / cx, params.y / cy, 1], m)
+    }
+  }
+
+  // The corners must stay in front of the projection, otherwise the image would fold over
+  const corners = [[0, 0], [width, 0], [width, height], [0, height]]
+
+  if (corners.some(([x, y]) => m[6] * x + m[7] * y + m[8] <= 0)) {
+    throw new Error(`perspective of ${JSON.stringify(plan.find(p => p.name === 'perspective').params)} folds the image`)
+  }
+
+  const projected = corners.map(p => project(m, p))
+  const [minX, minY] = [Math.min(...projected.map(p => p[0])), Math.min(...projected.map(p => p[1]))]
+  const matrix = multiply([1, 0, -minX, 0, 1, -minY, 0, 0, 1], m)
+
+  return {
+    matrix,
+    inverse: invert(matrix),
+    width: Math.ceil(Math.max(...projected.map(p => p[0])) - minX),
+    height: Math.ceil(Math.max(...projected.map(p => p[1])) - minY)
+  }
+}
+
+const projectPoints = function(transform) {
+  return points => points.map(p => project(transform.matrix, p.map(Number)).map(v => Math.round(v * 1e4) / 1e4))
+}
+
+const warp = function(image, transform, nearest = false) {
+  const { inverse: m, width, height } = transform
+  const data = Buffer.alloc(width * height * 4)
+  const src = image.data
+
+  // Source pixels are addressed by their offset, -1 outside of the image. Uncovered areas get the color of the top
+  // left pixel, which is the background
+  const offset = (px, py) => px >= 0 && py >= 0 && px < image.width && py < image.height ? (py * image.width + px) * 4 : -1
+  const sample = (p, k) => p === -1 ? src[k] : src[p + k]
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      // The center of the pixel is projected back into the source image, as in project
+      const w = m[6] * (x + 0.5) + m[7] * (y + 0.5) + m[8]
+      const sx = (m[0] * (x + 0.5) + m[1] * (y + 0.5) + m[2]) / w - 0.5
+      const sy = (m[3] * (x + 0.5) + m[4] * (y + 0.5) + m[5]) / w - 0.5
+      const o = (y * width + x) * 4
+
+      // Label maps hold indices, they must not be blended with their neighbours
+      if (nearest) {
+        const p = offset(Math.round(sx), Math.round(sy))
+
+        for (let k = 0; k < 4; k++) {
+          data[o + k] = sample(p, k)
+        }
+        continue
+      }
+
+      // Bilinear interpolation of the four source pixels around the mapped position
+      const x0 = Math.floor(sx)
+      const y0 = Math.floor(sy)
+      const fx = sx - x0
+      const fy = sy - y0
+      const p00 = offset(x0, y0)
+      const p10 = offset(x0 + 1, y0)
+      const p01 = offset(x0, y0 + 1)
+      const p11 = offset(x0 + 1, y0 + 1)
+
+      for (let k = 0; k < 4; k++) {
+        const top = (1 - fx) * sample(p00, k) + fx * sample(p10, k)
+        const bottom = (1 - fx) * sample(p01, k) + fx * sample(p11, k)
+        data[o + k] = Math.round((1 - fy) * top + fy * bottom)
+      }
+    }
+  }
+
+  return { data, width, height }
+}
+
+const morphology = function(image, radius, pick) {
+  // Separable min/max filter per channel, dark lines on a light background get thicker with min and thinner with max
+  const { width, height } = image
+  const pass = (input, horizontal) => {
+    const output = Buffer.from(input)
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const o = (y * width + x) * 4
+
+        for (let k = 0; k < 3; k++) {
+          let value = input[o + k]
+
+          for (let r = -radius; r <= radius; r++) {
+            const [px, py] = horizontal ? [x + r, y] : [x, y + r]
+
+            if (px >= 0 && py >= 0 && px < width && py < height) {
+              value = pick(value, input[(py * width + px) * 4 + k])
+            }
+          }
+
+          output[o + k] = value
+        }
+      }
+    }
+
+    return output
+  }
+
+  return { ...image, data: pass(pass(image.data, true), false) }
+}
+
+const blur = function(image, sigma) {
+  const radius = Math.max(1, Math.ceil(sigma * 3))
+  const kernel = Array.from({ length: 2 * radius + 1 }, (_, i) => Math.exp(-((i - radius) ** 2) / (2 * sigma * sigma)))
+  const total = kernel.reduce((sum, w) => sum + w, 0)
+  const { width, height } = image
+
+  const pass = (input, horizontal) => {
+    const output = Buffer.from(input)
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const o = (y * width + x) * 4
+
+        for (let k = 0; k < 3; k++) {
+          let value = 0
+
+          for (let r = -radius; r <= radius; r++) {
+            const px = horizontal ? Math.min(width - 1, Math.max(0, x + r)) : x
+            const py = horizontal ? y : Math.min(height - 1, Math.max(0, y + r))
+            value += kernel[r + radius] * input[(py * width + px) * 4 + k]
+          }
+
+          output[o + k] = Math.round(value / total)
+        }
+      }
+    }
+
+    return output
+  }
+
+  return { ...image, data: pass(pass(image.data, true), false) }
+}
+
+const texture = function(image, { strength, scale }, random) {
+  // Value noise on a coarse grid, interpolated bilinearly, darkens the image like uneven paper
+  const columns = Math.ceil(image.width / scale) + 2
+  const rows = Math.ceil(image.height / scale) + 2
+  const grid = Array.from({ length: columns * rows }, () => random.next())
+
+  return mapPixels(image, (data, i, x, y) => {
+    const [gx, gy] = [x / scale, y / scale]
+    const [x0, y0] = [Math.floor(gx), Math.floor(gy)]
+    const [fx, fy] = [gx - x0, gy - y0]
+    const g = (cx, cy) => grid[cy * columns + cx]
+    const noise = (g(x0, y0) * (1 - fx) + g(x0 + 1, y0) * fx) * (1 - fy) + (g(x0, y0 + 1) * (1 - fx) + g(x0 + 1, y0 + 1) * fx) * fy
+    const factor = 1 - strength * noise
+
+    for (let k = 0; k < 3; k++) {
+      data[i + k] = clamp(Math.round(data[i + k] * factor))
+    }
+  })
+}
+
+const gaussianNoise = function(image, { sigma }, random) {
+  return mapPixels(image, (data, i) => {
+    // Box-Muller transform, the same offset for all channels keeps the noise gray
+    const noise = sigma * Math.sqrt(-2 * Math.log(1 - random.next())) * Math.cos(2 * Math.PI * random.next())
+
+    for (let k = 0; k < 3; k++) {
+      data[i + k] = clamp(Math.round(data[i + k] + noise))
+    }
+  })
+}
+
+const saltAndPepper = function(image, { amount }, random) {
+  return mapPixels(image, (data, i) => {
+    if (random.next() < amount) {
+      const value = random.next() < 0.5 ? 0 : 255
+      data[i] = data[i + 1] = data[i + 2] = value
+    }
+  })
+}
+
+const binarize = function(image, { threshold }) {
+  return mapPixels(image, (data, i) => {
+    const value = luminance(data, i) < threshold ? 0 : 255
+    data[i] = data[i + 1] = data[i + 2] = value
+  })
+}
+
+const jpegArtifacts = function(image, { quality }) {
+  const encoded = jpeg.encode({ data: image.data, width: image.width, height: image.height }, quality).data
+  const decoded = jpeg.decode(encoded, { useTArray: true, formatAsRGBA: true })
+
+  return { data: Buffer.from(decoded.data), width: decoded.width, height: decoded.height }
+}
+
+const degrade = function(image, plan, random, { photometric = true, nearest = false } = {}) {
+  let result = image
+  const applied = new Set(plan.map(p => p.name))
+
+  if (geometric.some(name => applied.has(name))) {
+    result = warp(result, projectiveTransform(plan, result.width, result.height), nearest)
+  }
+
+  if (!photometric) {
+    return result
+  }
+
+  for (const { name, params } of plan) {
+    switch (name) {
+      case 'erode':
+        result = morphology(result, params.radius, Math.max)
+        break
+      case 'dilate':
+        result = morphology(result, params.radius, Math.min)
+        break
+      case 'blur':
+        result = blur(result, params.sigma)
+        break
+      case 'texture':
+        result = texture(result, params, random)
+        break
+      case 'gaussianNoise':
+        result = gaussianNoise(result, params, random)
+        break
+      case 'saltAndPepper':
+        result = saltAndPepper(result, params, random)
+        break
+      case 'binarize':
+        result = binarize(result, params)
+        break
+      case 'jpeg':
+        result = jpegArtifacts(result, params)
+        break
+    }
+  }
+
+  return result
+}
+
+const isGeometric = function(plan) {
+  return plan.some(p => geometric.includes(p.name))
+}
+
+module.exports = {
+  degradations,
+  projectiveTransform,
+  projectPoints,
+  isGeometric,
+  degrade
+}
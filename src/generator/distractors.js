@@ -0,0 +1,271 @@
+const { measureText, pointsToPixels } = require('./metrics')
+const { distractorLabel } = require('./types')
+
+// Content that surrounds structures on real pages, every distractor is placed next to the drawing (or partly
+// outside of it for neighbouring structures) and labelled with one box of the class 'distractor'. Parameters are
+// distributions like the drawing options, the order of this table is the order of placement
+const distractors = {
+  compoundLabel: { bold: { type: 'choice', values: [true, false] } },
+  caption: { words: { type: 'uniform', min: 3, max: 8 } },
+  arrow: { length: { type: 'uniform', min: 2, max: 5, relative: true } },
+  reactionConditions: { length: { type: 'uniform', min: 3, max: 6, relative: true } },
+  rGroupTable: { rows: { type: 'uniform', min: 2, max: 4 }, columns: { type: 'uniform', min: 1, max: 3 } },
+  neighbour: {
+    smiles: { type: 'choice', values: ['c1ccc2ccccc2c1', 'O=C(O)c1ccccc1O', 'CC(=O)Nc1ccc(O)cc1', 'C1CCNCC1', 'c1ccc(-c2ccncc2)cc1', 'CN1CCN(C)CC1'] },
+    visible: { type: 'uniform', min: 0.3, max: 0.7, float: true }
+  }
+}
+
+const sides = {
+  compoundLabel: ['bottom', 'bottom', 'bottom', 'left', 'right'],
+  caption: ['top', 'bottom'],
+  arrow: ['left', 'right'],
+  reactionConditions: ['left', 'right'],
+  rGroupTable: ['left', 'right', 'bottom'],
+  neighbour: ['left', 'right']
+}
+
+const words = ['synthesis', 'of', 'compound', 'the', 'and', 'yield', 'reaction', 'conditions', 'derivatives', 'inhibitors',
+  'structure', 'activity', 'selected', 'analogues', 'prepared', 'from', 'intermediate', 'with', 'in', 'route']
+const reagents = ['NaH', 'K2CO3', 'Pd(PPh3)4', 'TFA', 'LiAlH4', 'NaBH4', 'Et3N', 'HATU', 'DIPEA', 'CuI', 'BBr3', 'mCPBA']
+const solvents = ['DMF', 'THF', 'DCM', 'MeOH', 'toluene', 'dioxane', 'MeCN']
+const substituents = ['H', 'Me', 'Et', 'OMe', 'Cl', 'F', 'Br', 'CF3', 'Ph', 'iPr', 'NO2', 'CN', 'OH', 'NH2']
+
+const compoundNumber = function(random) {
+  return `${random.lodash.random(1, 40)}${random.lodash.sample(['', '', 'a', 'b', 'c', 'd'])}`
+}
+
+const text = function(helper, content, font, x, y, color) {
+  const element = helper.createElement('text', {
+    x,
+    y,
+    fill: color,
+    'font-family': font.font,
+    'font-size': pointsToPixels(font.fontSize),
+    'font-weight': font.fontWeight
+  })
+
+  element.textContent = content
+  return element
+}
+
+const textBox = function(content, font) {
+  // Measured like the text of the drawing, the baseline sits at the ascent below the top of the box
+  const { advance, ascent, height } = measureText(content, { ...font, fontSize: pointsToPixels(font.fontSize) })
+  return { width: advance, height, ascent }
+}
+
+const arrowElements = function(helper, x, y, length, { stroke, color }) {
+  const head = Math.max(3 * stroke, 6)
+
+  return [
+    helper.createElement('line', { x1: x, y1: y, x2: x + length - head, y2: y, stroke: color, 'stroke-width': stroke }),
+    helper.createElement('polygon', { points: `${x + length},${y} ${x + length - head},${y - head / 2} ${x + length - head},${y + head / 2}`, fill: color })
+  ]
+}
+
+// Builders draw at the origin and return their size, the caller moves them into place
+const builders = {
+  compoundLabel: function(helper, params, style) {
+    const font = { ...style.font, fontWeight: params.bold ? 700 : style.font.fontWeight }
+    const content = compoundNumber(style.random)
+    const { width, height, ascent } = textBox(content, font)
+
+    return { elements: [text(helper, content, font, 0, ascent, style.color)], width, height, text: content }
+  },
+  caption: function(helper, params, style) {
+    const { random } = style
+    const prefix = `${random.lodash.sample(['Scheme', 'Figure', 'Table'])} ${random.lodash.random(1, 9)}.`
+    const content = [prefix, ...Array.from({ length: params.words }, () => random.lodash.sample(words)), compoundNumber(random)].join(' ')
+    const { width, height, ascent } = textBox(content, style.font)
+
+    return { elements: [text(helper, content, style.font, 0, ascent, style.color)], width, height, text: content }
+  },
+  arrow: function(helper, params, style) {
+    const height = Math.max(3 * style.stroke, 6)
+
+    return { elements: arrowElements(helper, 0, height / 2, params.length, style), width: params.length, height, text: '->' }
+  },
+  reactionConditions: function(helper, params, style) {
+    const { random } = style
+    const above = random.lodash.sampleSize(reagents, random.lodash.random(1, 2)).join(', ')
+    const below = `${random.lodash.sample(solvents)}, ${random.lodash.random(0, 120)} °C, ${random.lodash.random(1, 24)} h`
+    const [top, bottom] = [textBox(above, style.font), textBox(below, style.font)]
+    const gap = Math.max(3 * style.stroke, 6)
+    const length = Math.max(params.length, top.width, bottom.width) + gap
+    const y = top.height + gap
+
+    return {
+      elements: [
+        text(helper, above, style.font, (length - top.width) / 2, top.ascent, style.color),
+        ...arrowElements(helper, 0, y, length, style),
+        text(helper, below, style.font, (length - bottom.width) / 2, y + gap + bottom.ascent, style.color)
+      ],
+      width: length,
+      height: y + gap + bottom.height,
+      text: `${above} / ${below}`
+    }
+  },
+  rGroupTable: function(helper, params, style) {
+    // Journal style, rules above and below the header and at the bottom, no vertical lines
+    const { random } = style
+    const header = ['Compd', ...Array.from({ length: params.columns }, (_, i) => `R${i + 1}`)]
+    const rows = Array.from({ length: params.rows }, () => [compoundNumber(random), ...Array.from({ length: params.columns }, () => random.lodash.sample(substituents))])
+    const cells = [header, ...rows].map(row => row.map(content => ({ content, ...textBox(content, style.font) })))
+
+    const padding = cells[0][0].height / 2
+    const widths = header.map((_, column) => Math.max(...cells.map(row => row[column].width)) + 2 * padding)
+    const lineHeight = cells[0][0].height + padding
+    const width = widths.reduce((sum, w) => sum + w, 0)
+    const height = cells.length * lineHeight + 2 * padding
+
+    const elements = []
+    cells.forEach((row, index) => {
+      let x = 0
+      const y = padding + index * lineHeight + (index ? padding : 0)
+
+      row.forEach((cell, column) => {
+        elements.push(text(helper, cell.content, style.font, x + padding, y + padding / 2 + cell.ascent, style.color))
+        x += widths[column]
+      })
+    })
+
+    for (const y of [0, lineHeight + padding, height]) {
+      elements.push(helper.createElement('line', { x1: 0, y1: y, x2: width, y2: y, stroke: style.color, 'stroke-width': style.stroke / 2 }))
+    }
+
+    return { elements, width, height, text: header.join(' ') }
+  },
+  neighbour: function(helper, params, style) {
+    const element = style.drawMolecule(params.smiles)
+    return { elements: [element], width: Number(element.getAttribute('width')), height: Number(element.getAttribute('height')), text: params.smiles }
+  }
+}
+
+const nestedSvg = function(xml, prefix) {
+  // A structure inside the drawing must neither be found as atoms and bonds nor share ids with the main molecule
+  return xml
+    .replace(/^<svg[^>]*>/, root => root.replace(/\s(style|smiles)="[^"]*"/g, ''))
+    .replace(/\s(vertex-id|edge-id|label)="[^"]*"/g, '')
+    .replace(/(id="|url\(['"]?#)(line-\d+|text-mask)/g, `$1${prefix}-$2`)
+}
+
+const shiftElement = function(element, dx, dy) {
+  // Positions are read from the attributes later on, a transform on a parent would not be seen there
+  for (const [attribute, delta] of [['x', dx], ['x1', dx], ['x2', dx], ['cx', dx], ['y', dy], ['y1', dy], ['y2', dy], ['cy', dy]]) {
+    const value = element.getAttribute(attribute)
+
+    if (value !== null && !value.endsWith('%')) {
+      element.setAttribute(attribute, Number(value) + delta)
+    }
+  }
+
+  const points = element.getAttribute('points')
+  if (points) {
+    const values = points.trim().split(/,|\s+/).map(Number)
+    element.setAttribute('points', values.map((v, i) => v + (i % 2 ? dy : dx)).join(' '))
+  }
+
+  for (const child of element.children) {
+    shiftElement(child, dx, dy)
+  }
+}
+
+const place = function(canvas, side, { width, height }, gap, random) {
+  const along = (from, to, size) => random.lodash.random(from, Math.max(from, to - size), true)
+
+  switch (side) {
+    case 'top':
+      return [along(canvas.left, canvas.right, width), canvas.top - gap - height]
+    case 'bottom':
+      return [along(canvas.left, canvas.right, width), canvas.bottom + gap]
+    case 'left':
+      return [canvas.left - gap - width, along(canvas.top, canvas.bottom, height)]
+    default:
+      return [canvas.right + gap, along(canvas.top, canvas.bottom, height)]
+  }
+}
+
+const addDistractors = function(svg, plan, { helper, random, options, colors, drawMolecule }) {
+  const [, , width, height] = svg.getAttribute('viewBox').split(/[\s,]+/).map(Number)
+  const margin = Number(svg.getAttribute('width')) - width
+  const canvas = { left: 0, top: 0, right: width, bottom: height }
+  const drawing = Array.from(svg.children)
+  const gap = options.padding / 2
+
+  const style = {
+    random,
+    drawMolecule,
+    color: colors.C || '#000',
+    stroke: options.bondThickness,
+    font: { font: options.font, fontSize: options.fontSizeLarge, fontWeight: options.fontWeight }
+  }
+
+  const boxes = []
+  const clipped = []
+  const groups = []
+
+  plan.forEach(({ name, params }, index) => {
+    const id = `distractor-${index}`
+    const built = builders[name](helper, params, style)
+    const side = random.lodash.sample(sides[name])
+    const [x, y] = place(canvas, side, built, gap, random)
+
+    const group = helper.createElement('g', {}, built.elements)
+    svg.appendChild(group)
+    groups.push({ group, x, y })
+
+    const box = { id, label: distractorLabel, text: built.text, x, y, width: built.width, height: built.height }
+
+    // Neighbouring structures are cut by the edge of the image, only the visible part is labelled
+    if (name === 'neighbour') {
+      const visible = params.visible * built.width
+      canvas[side] = side === 'left' ? x + built.width - visible : x + visible
+      clipped.push(box)
+    } else {
+      canvas.left = Math.min(canvas.left, x)
+      canvas.top = Math.min(canvas.top, y)
+      canvas.right = Math.max(canvas.right, x + built.width)
+      canvas.bottom = Math.max(canvas.bottom, y + built.height)
+    }
+
+    boxes.push(box)
+  })
+
+  for (const box of clipped) {
+    const [x1, y1] = [Math.max(box.x, canvas.left), Math.max(box.y, canvas.top)]
+    const [x2, y2] = [Math.min(box.x + box.width, canvas.right), Math.min(box.y + box.height, canvas.bottom)]
+    Object.assign(box, { x: x1, y: y1, width: x2 - x1, height: y2 - y1 })
+  }
+
+  // Label matrices are linear only, so the view box has to start at the origin and the drawing moves instead
+  const shift = [-canvas.left, -canvas.top]
+  const [newWidth, newHeight] = [Math.ceil(canvas.right - canvas.left), Math.ceil(canvas.bottom - canvas.top)]
+
+  for (const element of drawing) {
+    shiftElement(element, ...shift)
+  }
+
+  for (const { group, x, y } of groups) {
+    group.setAttribute('transform', `translate(${x + shift[0]},${y + shift[1]})`)
+  }
+
+  for (const box of boxes) {
+    box.x += shift[0]
+    box.y += shift[1]
+  }
+
+  helper.update(svg, {
+    width: newWidth + margin,
+    height: newHeight + margin,
+    viewBox: `0 0 ${newWidth} ${newHeight}`
+  })
+
+  return { boxes, shift }
+}
+
+module.exports = {
+  distractors,
+  nestedSvg,
+  addDistractors
+}
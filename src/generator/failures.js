@@ -0,0 +1,100 @@
+const fs = require('fs-extra')
+const path = require('path')
+const _ = require('lodash')
+
+// Tags an error with the pipeline stage (parse, layout, render, rasterize, degrade) it was thrown in, the innermost stage wins
+const inStage = function(stage, fn) {
+  const tag = e => {
+    if (e && typeof e === 'object' && !e.stage) {
+      e.stage = stage
+    }
+
+    throw e
+  }
+
+  try {
+    const result = fn()
+    return result && typeof result.then === 'function' ? result.catch(tag) : result
+  } catch (e) {
+    tag(e)
+  }
+}
+
+const describeError = function(error) {
+  // peg$SyntaxError carries the position in the SMILES string, custom parser errors only have an offset
+  const location = error.location === undefined ? null : error.location
+
+  return {
+    stage: error.stage || 'render',
+    error: error.name || (error.constructor && error.constructor.name) || 'Error',
+    message: error.message,
+    location
+  }
+}
+
+// Only counts are kept in memory, the failures themselves are streamed to the file. Messages are kept up to a limit,
+// when it is reached the rarer half is dropped, so messages that come up late may be undercounted
+function FailureReport(outputDirectory, append = false, maxMessages = 1000) {
+  this.file = path.join(outputDirectory, 'failures.jsonl')
+  this.stream = fs.createWriteStream(this.file, { flags: append ? 'a' : 'w' })
+  this.count = 0
+  this.byStage = {}
+  this.byError = {}
+  this.byMessage = new Map()
+  this.maxMessages = maxMessages
+}
+
+FailureReport.prototype.add = function(entry) {
+  const { id, compoundId, split, smiles, stage, error, message, location } = entry
+  const failure = { id, compoundId, split, smiles, stage, error, message, location }
+  const errorKey = `${stage}: ${error}`
+  const messageKey = `${stage}: ${String(message).slice(0, 80)}`
+
+  this.count++
+  this.byStage[stage] = (this.byStage[stage] || 0) + 1
+  this.byError[errorKey] = (this.byError[errorKey] || 0) + 1
+
+  if (!this.byMessage.has(messageKey) && this.byMessage.size >= this.maxMessages) {
+    const kept = _.sortBy([...this.byMessage], ([, count]) => -count).slice(0, Math.floor(this.maxMessages / 2))
+    this.byMessage = new Map(kept)
+  }
+
+  this.byMessage.set(messageKey, (this.byMessage.get(messageKey) || 0) + 1)
+  this.stream.write(JSON.stringify(failure) + '\n')
+}
+
+FailureReport.prototype.close = async function() {
+  await new Promise(resolve => this.stream.end(resolve))
+}
+
+FailureReport.prototype.histogram = function(title, counts, width = 40) {
+  const entries = _.sortBy(Object.entries(counts), ([, count]) => -count)
+  const max = Math.max(1, ...entries.map(([, count]) => count))
+  const pad = Math.max(...entries.map(([key]) => key.length))
+
+  return [title, ...entries.map(([key, count]) => {
+    const bar = '#'.repeat(Math.max(1, Math.round(count / max * width)))
+    return `  ${key.padEnd(pad)} ${String(count).padStart(6)} ${bar}`
+  })].join('\n')
+}
+
+FailureReport.prototype.summary = function(total, top = 10) {
+  if (!this.count) {
+    return `no failures in ${total} SMILES strings`
+  }
+
+  const topMessages = _.fromPairs(_.sortBy([...this.byMessage], ([, count]) => -count).slice(0, top))
+
+  return [
+    `${this.count} of ${total} SMILES strings failed, details in ${this.file}`,
+    this.histogram('failures by stage', this.byStage),
+    this.histogram('failures by error', this.byError),
+    this.histogram(`most frequent messages (top ${top})`, topMessages)
+  ].join('\n')
+}
+
+module.exports = {
+  inStage,
+  describeError,
+  FailureReport
+}
@@ -0,0 +1,42 @@
+const Descriptors = require('../drawer/Descriptors')
+
+const operators = {
+  '<=': (a, b) => a <= b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '>': (a, b) => a > b,
+  '=': (a, b) => a === b
+}
+
+const parseFilters = function(spec) {
+  // mass<=500,heavyAtoms>=10, every condition has to hold
+  return String(spec).split(',').map(part => {
+    const match = part.trim().match(/^(\w+)\s*(<=|>=|<|>|=)\s*(-?[\d.]+)$/)
+
+    if (!match || !Descriptors.names.includes(match[1]) || isNaN(Number(match[3]))) {
+      throw new Error(`invalid filter '${part.trim()}', use e.g. mass<=500 with one of ${Descriptors.names.join(', ')}`)
+    }
+
+    return { name: match[1], operator: match[2], value: Number(match[3]) }
+  })
+}
+
+// Descriptors come from the analysis before molecules are handed to the workers, so that filtered molecules
+// neither count towards the amount nor take up a worker
+function MoleculeFilter(filters) {
+  this.filters = filters
+}
+
+MoleculeFilter.prototype.accepts = function(descriptors) {
+  // A molecule that cannot be parsed has no descriptors, it fails later in the worker anyway
+  if (descriptors === null) {
+    return true
+  }
+
+  return this.filters.every(({ name, operator, value }) => operators[operator](descriptors[name], value))
+}
+
+module.exports = {
+  parseFilters,
+  MoleculeFilter
+}
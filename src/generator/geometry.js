@@ -0,0 +1,257 @@
+const { measureText, pointsToPixels } = require('./metrics')
+
+// Node counterparts of the functions in browser.js, boxes are computed from the element attributes and font metrics
+// instead of asking a rendering engine, results follow the conventions of SVGGraphicsElement.getBBox()
+const defaultFont = { font: 'sans-serif', fontSize: 16, fontWeight: 400 }
+
+const getFontClasses = function(document) {
+  const classes = {}
+  const css = Array.from(document.querySelectorAll('style')).map(s => s.textContent).join('\n')
+
+  for (const [, name, body] of css.matchAll(/\.([\w-]+)\s*{([^}]*)}/g)) {
+    const font = body.match(/font:\s*([\d.]+)pt\s+([^;]+);/)
+    const weight = body.match(/font-weight:\s*(\d+)/)
+
+    if (!font) {
+      continue
+    }
+
+    classes[name] = {
+      font: font[2].trim(),
+      fontSize: pointsToPixels(Number(font[1])),
+      fontWeight: weight ? Number(weight[1]) : 400
+    }
+  }
+
+  return classes
+}
+
+const getTextRuns = function(node, font, shift, classes, runs = []) {
+  for (const child of node.childNodes) {
+    if (child.nodeType === child.TEXT_NODE) {
+      if (child.textContent.length) {
+        runs.push({ ...font, shift, text: child.textContent })
+      }
+      continue
+    }
+
+    const childFont = classes[child.getAttribute('class')] || font
+    const { height } = measureText('', childFont)
+    const baselineShift = child.getAttribute('baseline-shift')
+
+    let childShift = shift
+    if (baselineShift === 'sub') {
+      childShift -= height / 2
+    }
+    if (baselineShift === 'super') {
+      childShift += height / 2
+    }
+
+    getTextRuns(child, childFont, childShift, classes, runs)
+  }
+
+  return runs
+}
+
+const getTextBBox = function(element, classes) {
+  const x = Number(element.getAttribute('x'))
+  const y = Number(element.getAttribute('y'))
+  const style = element.getAttribute('style') || ''
+  const vertical = /writing-mode:\s*vertical/.test(style)
+  const rtl = /direction:\s*rtl/.test(style)
+  const letterSpacing = Number((style.match(/letter-spacing:\s*(-?[\d.]+)px/) || [])[1]) || 0
+
+  const font = classes[element.getAttribute('class')] || defaultFont
+  const runs = getTextRuns(element, font, 0, classes)
+
+  if (!runs.length) {
+    return { x, y, width: 0, height: 0 }
+  }
+
+  const boxes = []
+  let pen = 0
+
+  for (const run of runs) {
+    // Upright vertical text stacks glyph cells, horizontal text advances by glyph widths
+    if (vertical) {
+      for (const char of Array.from(run.text)) {
+        const { height } = measureText(char, run)
+        const advance = height + letterSpacing
+        boxes.push({ left: -run.fontSize / 2, right: run.fontSize / 2, top: pen, bottom: pen + advance })
+        pen += advance
+      }
+      continue
+    }
+
+    const { advance, ascent, descent } = measureText(run.text, run)
+    const width = advance + letterSpacing * Array.from(run.text).length
+    boxes.push({ left: pen, right: pen + width, top: -run.shift - ascent, bottom: -run.shift + descent })
+    pen += width
+  }
+
+  const left = Math.min(...boxes.map(b => b.left))
+  const right = Math.max(...boxes.map(b => b.right))
+  const top = Math.min(...boxes.map(b => b.top))
+  const bottom = Math.max(...boxes.map(b => b.bottom))
+
+  // text-anchor is always start, with rtl the text ends at the anchor instead of beginning there
+  const offsetX = !vertical && rtl ? x - pen : x
+  const offsetY = vertical && rtl ? y - pen : y
+
+  return {
+    x: offsetX + left,
+    y: offsetY + top,
+    width: right - left,
+    height: bottom - top
+  }
+}
+
+const getPointsBBox = function(points) {
+  const xs = points.map(p => p[0])
+  const ys = points.map(p => p[1])
+  const [minX, maxX, minY, maxY] = [Math.min(...xs), Math.max(...xs), Math.min(...ys), Math.max(...ys)]
+
+  return { x: minX, y: minY, width: maxX - minX, height: maxY - minY }
+}
+
+const getBBox = function(element, classes = {}) {
+  const attr = name => Number(element.getAttribute(name))
+
+  switch (element.tagName.toLowerCase()) {
+    case 'text':
+      return getTextBBox(element, classes)
+    case 'line':
+      return getPointsBBox([[attr('x1'), attr('y1')], [attr('x2'), attr('y2')]])
+    case 'polygon':
+    case 'polyline': {
+      const values = element.getAttribute('points').trim().split(/,|\s+/).map(n => Number(n))
+      const points = []
+      for (let i = 0; i < values.length - 1; i += 2) {
+        points.push([values[i], values[i + 1]])
+      }
+      return getPointsBBox(points)
+    }
+    case 'circle':
+      return { x: attr('cx') - attr('r'), y: attr('cy') - attr('r'), width: 2 * attr('r'), height: 2 * attr('r') }
+    case 'rect':
+      return { x: attr('x'), y: attr('y'), width: attr('width'), height: attr('height') }
+    default:
+      throw new Error(`getBBox is not implemented for element '${element.tagName}'`)
+  }
+}
+
+const getScreenCTM = function(svg) {
+  // Default preserveAspectRatio (xMidYMid meet) of the root element, browsers add the page offset of the element on top
+  const width = Number(svg.getAttribute('width'))
+  const height = Number(svg.getAttribute('height'))
+  const viewBox = svg.getAttribute('viewBox') || `0 0 ${width} ${height}`
+  const [minX, minY, vbWidth, vbHeight] = viewBox.trim().split(/[\s,]+/).map(n => Number(n))
+
+  const scale = Math.min(width / vbWidth, height / vbHeight)
+
+  return {
+    a: scale,
+    b: 0,
+    c: 0,
+    d: scale,
+    e: (width - vbWidth * scale) / 2 - minX * scale,
+    f: (height - vbHeight * scale) / 2 - minY * scale
+  }
+}
+
+const serialize = function(document, svg) {
+  return new document.defaultView.XMLSerializer().serializeToString(svg)
+}
+
+function drawMasksAroundTextElements(document) {
+  const svg = document.querySelector('svg')
+  const mask = document.querySelector('mask')
+  const classes = getFontClasses(document)
+
+  const vertices = document.documentElement.querySelectorAll('[vertex-id]')
+
+  for (const vertex of vertices) {
+    const { x, y, width, height } = getBBox(vertex, classes)
+
+    const rect = document.createElementNS('http://www.w3.org/2000/svg', 'rect')
+
+    const isRound = ['O', 'S'].some(v => vertex.textContent.trim().startsWith(v))
+    const round = isRound ? 10 : 1
+
+    rect.setAttributeNS(null, 'x', x)
+    rect.setAttributeNS(null, 'y', y)
+    rect.setAttributeNS(null, 'width', width)
+    rect.setAttributeNS(null, 'height', height)
+    rect.setAttributeNS(null, 'fill', 'black')
+
+    rect.setAttributeNS(null, 'rx', round)
+    rect.setAttributeNS(null, 'ry', round)
+
+    mask.appendChild(rect)
+  }
+
+  return serialize(document, svg)
+}
+
+function getPositionInfoFromSvg(document) {
+  const nodes = []
+  const edges = []
+  const classes = getFontClasses(document)
+
+  const vertices = document.documentElement.querySelectorAll('[vertex-id]')
+  for (const vertex of vertices) {
+    const { x, y, width, height } = getBBox(vertex, classes)
+    const elements = Array.from(vertex.querySelectorAll('tspan')).map(c => c.textContent).filter(c => !!c)
+    const id = vertex.getAttribute('vertex-id')
+    const label = vertex.getAttribute('label')
+    const direction = vertex.getAttributeNS(null, 'direction')
+    const children = Array.from(vertex.children).map(c => c.textContent)
+
+    if (direction === 'up' || direction === 'left') {
+      children.reverse()
+    }
+
+    const text = children.join('').replace(/\s/g, '')
+
+    nodes.push({ id, label, elements, x, y, width, height, text })
+  }
+
+  const bonds = document.documentElement.querySelectorAll('[edge-id]')
+  for (const bond of bonds) {
+    const { x, y, width, height } = getBBox(bond, classes)
+    const id = bond.getAttribute('edge-id')
+    const label = bond.getAttribute('label')
+    const x1 = bond.getAttribute('x1')
+    const y1 = bond.getAttribute('y1')
+    const x2 = bond.getAttribute('x2')
+    const y2 = bond.getAttribute('y2')
+    const text = 'n/a'
+    const points = bond.getAttribute('points')
+    const strokeWidth = Number((/stroke-width:\s*([\d.]+)/.exec(bond.getAttribute('style') || '') || [])[1]) || null
+    edges.push({ id, label, x, y, width, height, x1, y1, x2, y2, points, strokeWidth, text })
+  }
+
+  return { nodes, edges }
+}
+
+function resizeImage(document) {
+  const svg = document.querySelector('svg')
+  const elements = document.documentElement.querySelectorAll('[label-id]')
+  const labels = Array.from(elements)
+    .map(e => Array.from(e.attributes).map(e => ({ [e.name]: e.nodeValue })))
+    .map(pair => pair.reduce((p, c) => Object.assign(p, c), {}))
+
+  const updatedSvg = serialize(document, svg)
+  const matrix = getScreenCTM(svg)
+
+  return [updatedSvg, labels, matrix]
+}
+
+module.exports = {
+  getBBox,
+  getScreenCTM,
+  getFontClasses,
+  getPositionInfoFromSvg,
+  resizeImage,
+  drawMasksAroundTextElements
+}
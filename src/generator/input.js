@@ -0,0 +1,266 @@
+const fs = require('fs')
+const zlib = require('zlib')
+
+// All readers are async generators over a byte stream, nothing but the current record is held in memory
+const formats = {
+  csv: { delimiter: ',' },
+  tsv: { delimiter: '\t' },
+  smi: {},
+  sdf: {}
+}
+
+const detectFormat = function(file) {
+  const name = file.toLowerCase().replace(/\.gz$/, '')
+
+  if (/\.(tsv|tab)$/.test(name)) {
+    return 'tsv'
+  }
+
+  if (/\.(smi|smiles|ism|can)$/.test(name)) {
+    return 'smi'
+  }
+
+  if (/\.(sdf|sd|mol)$/.test(name)) {
+    return 'sdf'
+  }
+
+  return 'csv'
+}
+
+const isGzip = async function(file) {
+  const handle = await fs.promises.open(file, 'r')
+  const { buffer, bytesRead } = await handle.read(Buffer.alloc(2), 0, 2, 0)
+  await handle.close()
+
+  return bytesRead === 2 && buffer[0] === 0x1f && buffer[1] === 0x8b
+}
+
+const openInput = async function(file) {
+  const raw = fs.createReadStream(file)
+  const input = await isGzip(file) ? raw.pipe(zlib.createGunzip()) : raw
+
+  // Decoding in the stream keeps multi-byte characters intact that are split across chunks
+  input.setEncoding('utf8')
+  return { raw, input }
+}
+
+async function * readLines(stream) {
+  let rest = ''
+
+  for await (const chunk of stream) {
+    const lines = (rest + chunk).split('\n')
+    rest = lines.pop()
+
+    for (const line of lines) {
+      yield line.replace(/\r$/, '')
+    }
+  }
+
+  if (rest.length) {
+    yield rest.replace(/\r$/, '')
+  }
+}
+
+async function * readDelimited(stream, delimiter) {
+  // RFC 4180, quoted fields can contain delimiters, newlines and quotes escaped as ""
+  let field = ''
+  let record = []
+  let quoted = false
+  let afterQuote = false
+  let pendingQuote = false
+
+  for await (const chunk of stream) {
+    for (let i = 0; i < chunk.length; i++) {
+      const char = chunk[i]
+
+      if (quoted) {
+        if (pendingQuote) {
+          pendingQuote = false
+
+          if (char === '"') {
+            field += '"'
+            continue
+          }
+
+          quoted = false
+          afterQuote = true
+        } else if (char === '"') {
+          pendingQuote = true
+          continue
+        } else {
+          field += char
+          continue
+        }
+      }
+
+      if (char === '"' && field.length === 0 && !afterQuote) {
+        quoted = true
+        continue
+      }
+
+      if (char === delimiter) {
+        record.push(field)
+        field = ''
+        afterQuote = false
+        continue
+      }
+
+      if (char === '\n') {
+        record.push(field.replace(/\r$/, ''))
+
+        if (record.length > 1 || record[0].length) {
+          yield record
+        }
+
+        record = []
+        field = ''
+        afterQuote = false
+        continue
+      }
+
+      field += char
+    }
+  }
+
+  if (field.length || record.length) {
+    record.push(field.replace(/\r$/, ''))
+    yield record
+  }
+}
+
+async function * readSmi(stream) {
+  // A SMILES, whitespace and an optional name which can contain whitespace itself
+  for await (const line of readLines(stream)) {
+    const trimmed = line.trim()
+
+    if (!trimmed.length || trimmed.startsWith('#')) {
+      continue
+    }
+
+    const match = trimmed.match(/^(\S+)(?:\s+(.*))?$/)
+    yield [match[1], match[2] || '']
+  }
+}
+
+async function * readSdf(stream) {
+  let lines = []
+
+  for await (const line of readLines(stream)) {
+    if (!line.startsWith('$$$$')) {
+      lines.push(line)
+      continue
+    }
+
+    yield lines
+    lines = []
+  }
+
+  if (lines.some(l => l.trim().length)) {
+    yield lines
+  }
+}
+
+const sdfRecord = function(lines) {
+  // Data items after the mol block become columns, like the fields of a csv file
+  const end = lines.findIndex(l => l.startsWith('M  END'))
+
+  if (end === -1) {
+    return null
+  }
+
+  const row = {}
+  let key = null
+
+  for (const line of lines.slice(end + 1)) {
+    const header = line.match(/^>.*<([^>]+)>/)
+
+    if (header) {
+      key = header[1]
+      row[key] = ''
+      continue
+    }
+
+    if (key !== null && line.trim().length) {
+      row[key] = row[key] ? `${row[key]}\n${line}` : line
+    }
+  }
+
+  return { smiles: lines.slice(0, end + 1).join('\n') + '\n', row }
+}
+
+async function * readMolecules({ file, format, column, header, progress = {} }) {
+  const type = format || detectFormat(file)
+
+  if (!formats[type]) {
+    throw new Error(`unknown input format '${type}', use one of ${Object.keys(formats).join(', ')}`)
+  }
+
+  const { raw, input } = await openInput(file)
+
+  // Bytes of the file on disk, compressed or not, tell how much of the input has been consumed
+  progress.size = (await fs.promises.stat(file)).size
+  progress.bytes = 0
+
+  try {
+    for await (const record of readRecords(input, type, file, column, header)) {
+      progress.bytes = raw.bytesRead
+      yield record
+    }
+  } finally {
+    // The consumer can stop early after enough molecules, the file must be closed anyway
+    raw.destroy()
+    input.destroy()
+  }
+}
+
+async function * readRecords(stream, type, file, column, header) {
+  if (type === 'sdf') {
+    for await (const lines of readSdf(stream)) {
+      const record = sdfRecord(lines)
+
+      if (record) {
+        yield record
+      }
+    }
+
+    return
+  }
+
+  const records = type === 'smi' ? readSmi(stream) : readDelimited(stream, formats[type].delimiter)
+
+  // A column name implies a header row, a column index only skips it when asked to
+  const byName = column !== undefined && column !== null && isNaN(Number(column))
+  const names = type === 'smi' && !byName ? ['smiles', 'name'] : null
+  let columns = names
+  let index = byName ? null : Number(column) || 0
+
+  for await (const record of records) {
+    if (columns === null && (header || byName)) {
+      columns = record.map(c => c.trim())
+      index = byName ? columns.indexOf(column) : index
+
+      if (index === -1) {
+        throw new Error(`column '${column}' not found in header of ${file}, columns are ${columns.join(', ')}`)
+      }
+
+      continue
+    }
+
+    const row = {}
+    record.forEach((value, i) => { row[columns ? columns[i] || i : i] = value })
+
+    const smiles = (record[index] || '').trim()
+
+    if (smiles.length) {
+      yield { smiles, row }
+    }
+  }
+}
+
+module.exports = {
+  formats,
+  detectFormat,
+  readLines,
+  readDelimited,
+  readMolecules
+}
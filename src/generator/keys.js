@@ -0,0 +1,104 @@
+const { hash } = require('./misc')
+
+// A set of string keys for runs over many millions of molecules. A Set of strings stops at 2^24 entries and takes
+// around 100 bytes per key, this one keeps the first 64 bits of their sha256 hashes in typed arrays, 11 to 22 bytes per
+// key. Hashes of sha256 hex digests, e.g. output names, are the digests themselves.
+function KeySet() {
+  this.shards = Array.from({ length: KeySet.shards }, () => ({ count: 0, slots: new Uint32Array(2 * KeySet.initialSlots) }))
+  this.size = 0
+}
+
+KeySet.shards = 256
+KeySet.initialSlots = 1024
+KeySet.maxLoad = 0.75
+
+KeySet.prototype.split = function(key) {
+  const digest = /^[0-9a-f]{64}$/.test(key) ? key : hash(String(key))
+  const high = parseInt(digest.slice(0, 8), 16) >>> 0
+
+  // A low word of 0 marks an empty slot, such keys share their slot with the ones ending in 1
+  const low = (parseInt(digest.slice(8, 16), 16) >>> 0) || 1
+
+  return { shard: this.shards[high >>> 24], high, low }
+}
+
+KeySet.prototype.find = function({ slots }, high, low) {
+  // Linear probing, returns the slot of the key or the empty slot it would go into
+  const mask = slots.length / 2 - 1
+  let i = low & mask
+
+  while (slots[2 * i + 1] !== 0 && (slots[2 * i] !== high || slots[2 * i + 1] !== low)) {
+    i = (i + 1) & mask
+  }
+
+  return i
+}
+
+KeySet.prototype.has = function(key) {
+  const { shard, high, low } = this.split(key)
+  return shard.slots[2 * this.find(shard, high, low) + 1] !== 0
+}
+
+KeySet.prototype.add = function(key) {
+  const { shard, high, low } = this.split(key)
+  const i = this.find(shard, high, low)
+
+  if (shard.slots[2 * i + 1] !== 0) {
+    return this
+  }
+
+  shard.slots[2 * i] = high
+  shard.slots[2 * i + 1] = low
+  shard.count += 1
+  this.size += 1
+
+  if (shard.count > KeySet.maxLoad * shard.slots.length / 2) {
+    this.grow(shard)
+  }
+
+  return this
+}
+
+KeySet.prototype.grow = function(shard) {
+  const old = shard.slots
+  shard.slots = new Uint32Array(2 * old.length)
+
+  for (let i = 0; i < old.length; i += 2) {
+    if (old[i + 1] !== 0) {
+      const j = this.find(shard, old[i], old[i + 1])
+      shard.slots[2 * j] = old[i]
+      shard.slots[2 * j + 1] = old[i + 1]
+    }
+  }
+}
+
+KeySet.prototype.delete = function(key) {
+  const { shard, high, low } = this.split(key)
+  const { slots } = shard
+  const mask = slots.length / 2 - 1
+  let i = this.find(shard, high, low)
+
+  if (slots[2 * i + 1] === 0) {
+    return false
+  }
+
+  // Keys after the removed one move back into the gap unless their own slot lies between the gap and them
+  for (let j = (i + 1) & mask; slots[2 * j + 1] !== 0; j = (j + 1) & mask) {
+    const home = slots[2 * j + 1] & mask
+
+    if (((j - home) & mask) >= ((j - i) & mask)) {
+      slots[2 * i] = slots[2 * j]
+      slots[2 * i + 1] = slots[2 * j + 1]
+      i = j
+    }
+  }
+
+  slots[2 * i] = 0
+  slots[2 * i + 1] = 0
+  shard.count -= 1
+  this.size -= 1
+
+  return true
+}
+
+module.exports = KeySet
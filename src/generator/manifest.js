@@ -0,0 +1,58 @@
+const fs = require('fs-extra')
+const path = require('path')
+const readline = require('readline')
+
+const KeySet = require('./keys')
+
+// One json line per processed SMILES, written by the parent only so that workers never write the same file
+function Manifest(outputDirectory) {
+  this.file = path.join(outputDirectory, 'manifest.jsonl')
+  this.stream = null
+}
+
+Manifest.prototype.completed = async function(accept = () => true) {
+  // Only the ids of successful entries are kept so that resuming large runs stays light on memory
+  const ids = new KeySet()
+
+  if (!await fs.pathExists(this.file)) {
+    return ids
+  }
+
+  const stream = fs.createReadStream(this.file)
+  const rl = readline.createInterface({ input: stream, crlfDelay: Infinity })
+
+  for await (const line of rl) {
+    // The last line can be cut off when the run was killed
+    try {
+      const entry = JSON.parse(line)
+
+      // Duplicates share the id of the molecule they repeat and say nothing about its outputs
+      if (entry.status === 'duplicate') {
+        continue
+      }
+
+      if (entry.status === 'success' && accept(entry)) {
+        ids.add(entry.id)
+      } else {
+        ids.delete(entry.id)
+      }
+    } catch (e) {}
+  }
+
+  stream.destroy()
+  return ids
+}
+
+Manifest.prototype.open = function(append) {
+  this.stream = fs.createWriteStream(this.file, { flags: append ? 'a' : 'w' })
+}
+
+Manifest.prototype.add = function(entry) {
+  this.stream.write(JSON.stringify({ ...entry, time: new Date().toISOString() }) + '\n')
+}
+
+Manifest.prototype.close = async function() {
+  await new Promise(resolve => this.stream.end(resolve))
+}
+
+module.exports = Manifest
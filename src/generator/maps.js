@@ -0,0 +1,142 @@
+const { JSDOM } = require('jsdom')
+const { PNG } = require('pngjs')
+
+const Elements = require('../drawer/Elements')
+const { labelVocabulary, labelClass, textLabel } = require('./types')
+
+// Dense label maps are rendered from the svg of the image itself, every atom and bond is filled with a flat
+// color that encodes its instance index (red is the low byte, green the high byte). Antialiasing is turned off so
+// that colors are not blended, pixels whose color is not an instance are background. Index images keep this encoding
+// in RGBA until they are written, so that canvases and geometric degradations can treat them like any other image
+const graphics = ['line', 'polygon', 'circle', 'rect', 'text', 'svg', 'path', 'ellipse']
+
+const encodeIndex = function(index) {
+  return `rgb(${index & 255},${(index >> 8) & 255},0)`
+}
+
+const instanceIndex = function(id, graph) {
+  // Vertices come first, then edges, both in graph order. 0 is the background
+  if (id.startsWith('vertex-id-')) {
+    return Number(id.replace('vertex-id-', '')) + 1
+  }
+
+  return graph.vertices.length + Number(id.replace('edge-id-', '')) + 1
+}
+
+const instanceClass = function(element, graph) {
+  const label = element.getAttribute('label')
+
+  if (label !== textLabel) {
+    return labelVocabulary.indexOf(label) + 1
+  }
+
+  // Aromatic atoms such as [se] have the class of their element
+  const vertex = graph.vertices[Number(element.getAttribute('vertex-id').replace('vertex-id-', ''))]
+  return labelVocabulary.indexOf(labelClass({ label, element: Elements.normalize(vertex.value.element) })) + 1
+}
+
+const labelMapSvg = function(svg, graph) {
+  const document = new JSDOM(svg, { contentType: 'image/svg+xml' }).window.document
+  const root = document.documentElement
+  const count = graph.vertices.length + graph.edges.length
+
+  // Class index of every instance index, instances that are not drawn stay background
+  const classes = new Array(count + 1).fill(0)
+
+  if (count > 0xffff) {
+    throw new Error(`label maps hold at most 65535 atoms and bonds, got ${count}`)
+  }
+
+  root.setAttributeNS(null, 'style', 'background-color: #000')
+  root.setAttributeNS(null, 'shape-rendering', 'crispEdges')
+  root.setAttributeNS(null, 'text-rendering', 'optimizeSpeed')
+
+  for (const element of root.querySelectorAll(graphics.join(','))) {
+    // Masks must keep their colors, they hide the bonds behind the atom labels
+    if (element.closest('mask, defs')) {
+      continue
+    }
+
+    const id = element.getAttribute('vertex-id') || element.getAttribute('edge-id')
+
+    // Aromatic circles, distractors and anything else without a label are not part of the maps
+    if (!id) {
+      element.setAttributeNS(null, 'visibility', 'hidden')
+      continue
+    }
+
+    const index = instanceIndex(id, graph)
+    const color = encodeIndex(index)
+    classes[index] = instanceClass(element, graph)
+
+    element.setAttributeNS(null, element.tagName === 'line' ? 'stroke' : 'fill', color)
+
+    for (const child of element.querySelectorAll('tspan')) {
+      child.setAttributeNS(null, 'fill', color)
+      child.removeAttribute('color')
+    }
+  }
+
+  const xml = new document.defaultView.XMLSerializer().serializeToString(root)
+  return { xml, classes }
+}
+
+const decodeLabelMap = function(image, classes) {
+  // Colors that are not an instance come from the rasterizer blending anyway, they are set to background
+  const data = Buffer.alloc(image.width * image.height * 4)
+
+  for (let i = 0; i < data.length; i += 4) {
+    const index = image.data[i] + 256 * image.data[i + 1]
+    const valid = image.data[i + 2] === 0 && classes[index] > 0
+
+    data[i] = valid ? image.data[i] : 0
+    data[i + 1] = valid ? image.data[i + 1] : 0
+    data[i + 3] = 255
+  }
+
+  return { data, width: image.width, height: image.height }
+}
+
+const offsetLabelMap = function(image, offset) {
+  const data = Buffer.from(image.data)
+
+  for (let i = 0; i < data.length; i += 4) {
+    const index = data[i] + 256 * data[i + 1]
+
+    if (index) {
+      data[i] = (index + offset) & 255
+      data[i + 1] = ((index + offset) >> 8) & 255
+    }
+  }
+
+  return { ...image, data }
+}
+
+const encodeLabelMaps = function(image, classes) {
+  // 8 bit class indices (0 is background, then the label vocabulary) and 16 bit instance indices
+  const { width, height } = image
+  const classMap = Buffer.alloc(width * height)
+  const indices = new Uint16Array(width * height)
+
+  for (let p = 0; p < width * height; p++) {
+    const index = image.data[4 * p] + 256 * image.data[4 * p + 1]
+    indices[p] = index
+    classMap[p] = classes[index]
+  }
+
+  const write = (data, bitDepth) => {
+    const png = new PNG({ width, height, colorType: 0, inputColorType: 0, inputHasAlpha: false, bitDepth })
+    png.data = data
+    return PNG.sync.write(png, { colorType: 0, inputColorType: 0, inputHasAlpha: false, bitDepth })
+  }
+
+  return { classes: write(classMap, 8), instances: write(indices, 16) }
+}
+
+module.exports = {
+  instanceIndex,
+  labelMapSvg,
+  decodeLabelMap,
+  offsetLabelMap,
+  encodeLabelMaps
+}
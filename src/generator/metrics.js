@@ -0,0 +1,63 @@
+// Advance widths of printable ASCII (32-126) in 1/1000 em, taken from the Helvetica AFM
+// proportional fonts are approximated with these, which is close enough for label boxes
+const proportionalWidths = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+]
+
+const proportional = {
+  ascent: 0.905,
+  descent: 0.212,
+  width: char => {
+    const code = char.charCodeAt(0)
+    const width = code >= 32 && code <= 126 ? proportionalWidths[code - 32] : 556
+    return width / 1000
+  }
+}
+
+const monospace = {
+  ascent: 0.833,
+  descent: 0.3,
+  width: () => 0.6
+}
+
+const isMonospace = function(font) {
+  return /mono|courier|code|VT323/i.test(font)
+}
+
+const getFontMetrics = function(font) {
+  return isMonospace(font) ? monospace : proportional
+}
+
+// Bold glyphs are a little wider, this is linear between regular (400) and black (900)
+const weightFactor = function(weight) {
+  const value = Number(weight) || 400
+  return 1 + Math.max(0, value - 400) / 500 * 0.1
+}
+
+const pointsToPixels = function(pt) {
+  return pt * 4 / 3
+}
+
+const measureText = function(text, { font, fontSize, fontWeight }) {
+  const metrics = getFontMetrics(font)
+  const factor = weightFactor(fontWeight)
+  const advance = Array.from(text).reduce((sum, char) => sum + metrics.width(char) * fontSize * factor, 0)
+
+  return {
+    advance,
+    ascent: metrics.ascent * fontSize,
+    descent: metrics.descent * fontSize,
+    height: (metrics.ascent + metrics.descent) * fontSize
+  }
+}
+
+module.exports = {
+  getFontMetrics,
+  measureText,
+  pointsToPixels
+}
@@ -1,62 +1,141 @@
 const crypto = require('crypto')
 const path = require('path')
-const fs = require('fs')
-const readline = require('readline')
 const yargs = require('yargs/yargs')
 const { hideBin } = require('yargs/helpers')
 
-const readSmilesFromCsv = async(file, smilesCol, n = 100) => {
-  const stream = fs.createReadStream(file)
-  const rl = readline.createInterface({
-    input: stream,
-    crlfDelay: Infinity
-  })
-
-  const result = []
-  for await (const line of rl) {
-    const smiles = line.split(',')[smilesCol]
-    result.push(smiles)
-    if (result.length >= 1.25 * n) {
-      break
-    }
-  }
-
-  stream.destroy()
-  return result
-}
+const { loadStyle } = require('./style')
+const { formats } = require('./input')
+const { parseFilters } = require('./filters')
 
 const cliParams = () => {
   const {
     outputDirectory,
     amount, batchSize, size, fonts, fontWeights,
-    concurrency,
+    concurrency, analysisThreads,
     outputSvg, outputLabels, outputFlat,
-    clean,
-    minSmilesLength, maxSmilesLength,
+    clean, resume,
+    outputCoco, outputYolo, outputGraph,
+    outputMol, outputSdf, outputMaps, molVersion,
+    geometry, rasterizer, imageFormat, fontDirectory,
+    minSmilesLength, maxSmilesLength, filter,
+    keepCoordinates, seed, config: configFile,
     fromCsvFile: csvFile,
-    fromCsvColumn: csvColumn
+    fromCsvColumn: csvColumn,
+    fromSdfFile: sdfFile,
+    inputFormat, header,
+    idColumn, passthroughColumns, nameById,
+    maxWorkerMemory, progressInterval,
+    shardDepth, shardWidth, outputTar,
+    split, splitBy,
+    moleculesPerImage
   } = yargs(hideBin(process.argv)).argv
 
   const config = {
-    csvFile: path.resolve(csvFile),
+    csvFile: csvFile ? path.resolve(csvFile) : false,
     csvColumn: csvColumn,
+    sdfFile: sdfFile ? path.resolve(sdfFile) : false,
+    inputFile: path.resolve(csvFile || sdfFile || ''),
+    inputFormat: sdfFile ? 'sdf' : inputFormat || false,
+    header: !!header,
+    idColumn: idColumn === undefined ? false : String(idColumn),
+    passthroughColumns: passthroughColumns ? String(passthroughColumns).split(',') : [],
+    nameById: !!nameById,
+    keepCoordinates: !!keepCoordinates,
+    seed: seed === undefined ? false : String(seed),
     outputDirectory: path.resolve(outputDirectory),
     size: Number(size) || null,
     fonts: fonts ? fonts.split(',') : ['Roboto'],
     fontWeights: fontWeights ? fontWeights.split(',').map(x => Number(x)) : [200],
     concurrency: Number(concurrency) || 4,
+    analysisThreads: analysisThreads === undefined ? Math.ceil((Number(concurrency) || 4) / 8) : Number(analysisThreads),
     minSmilesLength: Number(minSmilesLength) || 0,
     maxSmilesLength: Number(maxSmilesLength) || 1000,
+    filters: filter === undefined ? [] : parseFilters(filter),
     outputSvg: !!outputSvg,
     outputLabels: !!outputLabels,
     outputFlat: !!outputFlat,
-    amount: Number(amount) || null,
-    batchSize: Number(batchSize) || 100,
-    clean: !!clean
+    shardDepth: Number(shardDepth) || 0,
+    shardWidth: Number(shardWidth) || 2,
+    outputTar: outputTar === true ? 1000 : Number(outputTar) || false,
+    split: split || false,
+    splitBy: splitBy || 'random',
+    moleculesPerImage: moleculesPerImage === undefined ? 1 : Number(moleculesPerImage),
+    amount: Number(amount) || Infinity,
+    batchSize: Number(batchSize) || 20,
+    maxWorkerMemory: Number(maxWorkerMemory) || 2048,
+    progressInterval: Number(progressInterval) || 30,
+    clean: !!clean,
+    resume: !!resume,
+    outputCoco: !!outputCoco,
+    outputGraph: !!outputGraph,
+    outputYolo: outputYolo === true ? 'aabb' : outputYolo || false,
+    outputMol: !!outputMol,
+    outputSdf: !!outputSdf,
+    outputMaps: !!outputMaps,
+    molVersion: (molVersion || 'v2000').toUpperCase(),
+    geometry: geometry || 'node',
+    rasterizer: rasterizer || 'puppeteer',
+    imageFormat: imageFormat || 'jpg',
+    fontDirectory: path.resolve(fontDirectory || '/usr/share/fonts')
   }
 
+  // Distributions of the drawing options, from a preset or a json/yaml file, defaults reproduce the built-in ranges
+  config.style = loadStyle(configFile, config)
+
   const invalid = Object.entries(config).filter(([key, value]) => value === null)
 
+  if (!config.csvFile === !config.sdfFile) {
+    invalid.push(['fromCsvFile, fromSdfFile', 'exactly one input file is required'])
+  }
+
+  if (config.nameById && config.idColumn === false) {
+    invalid.push(['nameById', 'requires idColumn'])
+  }
+
+  if (!Number.isInteger(config.moleculesPerImage) || config.moleculesPerImage < 1) {
+    invalid.push(['moleculesPerImage', config.moleculesPerImage])
+  }
+
+  if (config.moleculesPerImage > 1 && config.nameById) {
+    invalid.push(['nameById', 'canvases with several molecules are named by their SMILES'])
+  }
+
+  if (!Number.isInteger(config.analysisThreads) || config.analysisThreads < 0) {
+    invalid.push(['analysisThreads', config.analysisThreads])
+  }
+
+  if (!['random', 'scaffold'].includes(config.splitBy)) {
+    invalid.push(['splitBy', config.splitBy])
+  }
+
+  if (config.inputFormat && !Object.keys(formats).includes(config.inputFormat)) {
+    invalid.push(['inputFormat', config.inputFormat])
+  }
+
+  if (!['node', 'browser'].includes(config.geometry)) {
+    invalid.push(['geometry', config.geometry])
+  }
+
+  if (config.shardDepth * config.shardWidth > 64) {
+    invalid.push(['shardDepth, shardWidth', 'prefixes cannot be longer than a sha256 hash'])
+  }
+
+  if (config.outputYolo && !['aabb', 'obb', 'dota'].includes(config.outputYolo)) {
+    invalid.push(['outputYolo', config.outputYolo])
+  }
+
+  if (!['V2000', 'V3000'].includes(config.molVersion)) {
+    invalid.push(['molVersion', config.molVersion])
+  }
+
+  if (!['puppeteer', 'resvg'].includes(config.rasterizer)) {
+    invalid.push(['rasterizer', config.rasterizer])
+  }
+
+  if (!['jpg', 'png'].includes(config.imageFormat)) {
+    invalid.push(['imageFormat', config.imageFormat])
+  }
+
   if (invalid.length) {
     throw new Error(`invalid configuration values: ${JSON.stringify(invalid, null)}`)
   }
@@ -72,6 +151,62 @@ const wait = ms => new Promise((resolve, reject) => {
   setTimeout(resolve, ms)
 })
 
+const parsePolygon = function(xy) {
+  const values = xy.trim().split(/,|\s+/).map(n => Number(n))
+  const points = []
+
+  for (let i = 0; i < values.length - 1; i += 2) {
+    points.push([values[i], values[i + 1]])
+  }
+
+  return points
+}
+
+const orderPolygon = function(points) {
+  // Hull points are sorted by coordinates, sorting by angle around the centroid gives a simple polygon
+  const cx = points.reduce((sum, p) => sum + p[0], 0) / points.length
+  const cy = points.reduce((sum, p) => sum + p[1], 0) / points.length
+
+  return points.slice().sort((p, q) => Math.atan2(p[1] - cy, p[0] - cx) - Math.atan2(q[1] - cy, q[0] - cx))
+}
+
+const boundingBox = function(points) {
+  const xs = points.map(p => p[0])
+  const ys = points.map(p => p[1])
+  const [minX, minY] = [Math.min(...xs), Math.min(...ys)]
+
+  return [minX, minY, Math.max(...xs) - minX, Math.max(...ys) - minY]
+}
+
+const convexHull = function(points) {
+  // Monotone chain, counterclockwise without collinear points
+  const sorted = points.slice().sort((p, q) => p[0] - q[0] || p[1] - q[1])
+  const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0])
+  const half = list => {
+    const chain = []
+    for (const p of list) {
+      while (chain.length >= 2 && cross(chain[chain.length - 2], chain[chain.length - 1], p) <= 0) {
+        chain.pop()
+      }
+      chain.push(p)
+    }
+    return chain.slice(0, -1)
+  }
+
+  return sorted.length < 3 ? sorted : [...half(sorted), ...half(sorted.slice().reverse())]
+}
+
+const polygonArea = function(points) {
+  let area = 0
+  for (let i = 0; i < points.length; i++) {
+    const [x1, y1] = points[i]
+    const [x2, y2] = points[(i + 1) % points.length]
+    area += x1 * y2 - x2 * y1
+  }
+
+  return Math.abs(area) / 2
+}
+
 const getElementGraph = (graph, labels) => {
   if (!labels.length) {
     return []
@@ -169,9 +304,13 @@ const getElementGraph = (graph, labels) => {
 }
 
 module.exports = {
-  readSmilesFromCsv,
   cliParams,
   hash,
   wait,
+  parsePolygon,
+  orderPolygon,
+  boundingBox,
+  convexHull,
+  polygonArea,
   getElementGraph
 }
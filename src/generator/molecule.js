@@ -0,0 +1,65 @@
+const _ = require('lodash')
+
+const hydrogenCount = function(atom) {
+  // Hydrogens of stereocenters were added to the graph as vertices, all others are implicit
+  if (atom.bracket && atom.bracket.chirality) {
+    return 0
+  }
+
+  return atom.getHydrogenCount()
+}
+
+const serializeAtom = function(vertex, offset) {
+  const atom = vertex.value
+  const bracket = atom.bracket || {}
+
+  return {
+    id: `vertex-id-${vertex.id}`,
+    element: atom.element,
+    charge: bracket.charge || 0,
+    isotope: bracket.isotope || null,
+    hydrogens: hydrogenCount(atom),
+    aromatic: atom.isPartOfAromaticRing,
+    stereo: {
+      isStereoCenter: atom.isStereoCenter,
+      chirality: bracket.chirality || null,
+      cip: atom.chirality || null
+    },
+    drawn: atom.isDrawn,
+    position: [vertex.position.x + offset.x, vertex.position.y + offset.y]
+  }
+}
+
+const serializeBond = function(edge) {
+  return {
+    id: `edge-id-${edge.id}`,
+    source: `vertex-id-${edge.sourceId}`,
+    target: `vertex-id-${edge.targetId}`,
+    order: edge.weight,
+    bondType: edge.bondType,
+    aromatic: edge.isPartOfAromaticRing,
+    wedge: edge.wedge || null
+  }
+}
+
+// Positions are in svg user space, they have to be transformed like the labels before they are written
+const serializeGraph = function(graph, offset = { x: 0, y: 0 }) {
+  return {
+    atoms: graph.vertices.map(v => serializeAtom(v, offset)),
+    // '.' separates disconnected components, it is an edge in the graph but not a bond
+    bonds: graph.edges.filter(e => e.bondType !== '.').map(e => serializeBond(e))
+  }
+}
+
+const transformMolecule = function(molecule, transform) {
+  return {
+    ...molecule,
+    atoms: molecule.atoms.map(a => ({ ...a, position: transform([a.position])[0].map(v => _.round(v, 4)) }))
+  }
+}
+
+module.exports = {
+  hydrogenCount,
+  serializeGraph,
+  transformMolecule
+}
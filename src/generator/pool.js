@@ -0,0 +1,230 @@
+const path = require('path')
+const { fork } = require('child_process')
+const fs = require('fs-extra')
+const treekill = require('tree-kill')
+const { v4: uuid } = require('uuid')
+
+// Persistent workers keep their browser and pull chunks from a shared queue whenever they are idle,
+// so fast workers simply take more work than slow ones and nothing has to be planned up front
+function WorkerPool({ conf, next, fraction, onEntry, onRecord, browserDir = 'browser' }) {
+  this.conf = conf
+  this.next = next
+  this.fraction = fraction || (() => null)
+  this.onEntry = onEntry
+  this.onRecord = onRecord
+  this.browserDir = browserDir
+  this.maxMemory = conf.maxWorkerMemory * 1024 * 1024
+  this.debug = typeof v8debug === 'object'
+
+  this.workers = {}
+  this.slots = []
+  this.retry = []
+  this.sequence = 0
+  this.processed = 0
+  this.failedStarts = 0
+  this.stopped = false
+  this.started = null
+  this.timer = null
+}
+
+WorkerPool.prototype.run = function() {
+  this.started = Date.now()
+  this.slots = Array.from({ length: this.conf.concurrency }, () => ({ processed: 0, restarts: 0 }))
+
+  return new Promise((resolve, reject) => {
+    this.resolve = resolve
+    this.reject = reject
+
+    this.timer = setInterval(() => console.log(this.progress()), this.conf.progressInterval * 1000)
+
+    for (let index = 0; index < this.conf.concurrency; index++) {
+      this.spawn(index).catch(e => this.fail(e))
+    }
+  })
+}
+
+WorkerPool.prototype.spawn = async function(index) {
+  const tmpDir = path.join(this.browserDir, uuid())
+  await fs.ensureDir(tmpDir)
+
+  const browserOptions = {
+    userDataDir: tmpDir,
+    temporaryDirectory: tmpDir,
+    headless: true,
+    devtools: false,
+    protocolTimeout: 100_000_000
+  }
+
+  const args = { }
+
+  // aneb: inspector error are IDE-related and do not occur when calling node from command line
+  if (this.debug) {
+    const port = process.debugPort + index + 1
+
+    console.log(`adding debug port ${port}`)
+    args.execArgv = [`--inspect=${port}`]
+  }
+
+  const child = fork('src/worker.js', args)
+  const worker = { index, child, tmpDir, browserPid: null, pending: new Map(), processed: 0, restart: false }
+  this.workers[index] = worker
+
+  child.on('message', message => this.receive(worker, message))
+  child.on('exit', (code, signal) => this.exit(worker, code, signal).catch(e => this.fail(e)))
+
+  child.send({ init: { conf: this.conf, browserOptions, worker: index } })
+}
+
+WorkerPool.prototype.count = function(worker, n) {
+  worker.processed += n
+  this.slots[worker.index].processed += n
+  this.processed += n
+}
+
+WorkerPool.prototype.receive = function(worker, { browserPid, ready, memory, record, entry, rendered, seq }) {
+  // Molecules are pending until their entry arrives, rendered ones wait for the sink to store them
+  if (rendered !== undefined) {
+    worker.pending.get(rendered).rendered = true
+    this.count(worker, 1)
+    return
+  }
+
+  if (entry) {
+    if (!worker.pending.get(seq).rendered) {
+      this.count(worker, 1)
+    }
+
+    worker.pending.delete(seq)
+    this.onEntry(entry)
+    return
+  }
+
+  if (record) {
+    this.onRecord(record)
+    return
+  }
+
+  if (browserPid !== undefined) {
+    worker.browserPid = browserPid
+  }
+
+  if (ready) {
+    this.feed(worker, memory).catch(e => this.fail(e))
+  }
+}
+
+WorkerPool.prototype.feed = async function(worker, memory) {
+  if (this.stopped) {
+    worker.child.send({ stop: true })
+    return
+  }
+
+  // Node and chromium do not always give memory back, a replacement worker starts with a clean slate
+  if (worker.processed && memory > this.maxMemory) {
+    console.log(`worker ${worker.index} uses ${Math.round(memory / 1024 / 1024)} MB, restarting it`)
+    worker.restart = true
+    worker.child.send({ stop: true })
+    return
+  }
+
+  const molecules = this.retry.length ? this.retry.splice(0, this.conf.batchSize) : await this.next(this.conf.batchSize)
+
+  if (!molecules.length) {
+    worker.child.send({ stop: true })
+    return
+  }
+
+  for (const molecule of molecules) {
+    molecule.seq = this.sequence++
+    worker.pending.set(molecule.seq, { molecule, rendered: false })
+  }
+
+  worker.child.send({ molecules })
+}
+
+WorkerPool.prototype.exit = async function(worker, code, signal) {
+  if (worker.browserPid) {
+    treekill(worker.browserPid, 'SIGKILL')
+  }
+
+  delete this.workers[worker.index]
+  await fs.remove(worker.tmpDir).catch(e => console.error(e))
+
+  const crashed = code !== 0 || worker.pending.size > 0
+  const reason = signal ? `signal ${signal}` : `code ${code}`
+
+  if (crashed) {
+    console.log(`${new Date().toUTCString()} - worker ${worker.index} exited with ${reason}, ${worker.pending.size} molecules pending`)
+
+    // The molecule that was being rendered is the likely cause, it fails instead of taking down the next worker too.
+    // Rendered molecules that were not stored yet are lost with the shard of the worker and are rendered again
+    const pending = Array.from(worker.pending.values())
+    const current = pending.find(p => !p.rendered)
+    const lost = pending.filter(p => p.rendered)
+    const started = worker.processed > 0 || !!current
+
+    if (current) {
+      const { id, compoundId, split, smiles } = current.molecule
+      this.onEntry({ id, compoundId, split, smiles, status: 'failure', stage: 'worker', error: 'WorkerCrash', message: `worker exited with ${reason}`, location: null })
+      this.count(worker, 1)
+    }
+
+    this.count(worker, -lost.length)
+    this.retry.push(...pending.filter(p => p !== current).map(p => p.molecule))
+
+    // A worker that cannot even start will not do better on the next attempt
+    this.failedStarts = started ? 0 : this.failedStarts + 1
+
+    if (this.failedStarts >= 3) {
+      this.fail(new Error(`workers keep crashing on start, last exit with ${reason}`))
+      return
+    }
+  }
+
+  if ((crashed || worker.restart) && !this.stopped) {
+    this.slots[worker.index].restarts += 1
+    await this.spawn(worker.index)
+    return
+  }
+
+  if (Object.keys(this.workers).length === 0) {
+    clearInterval(this.timer)
+    console.log(this.progress())
+    this.resolve()
+  }
+}
+
+WorkerPool.prototype.fail = function(error) {
+  this.stopped = true
+  clearInterval(this.timer)
+
+  for (const worker of Object.values(this.workers)) {
+    if (worker.browserPid) {
+      treekill(worker.browserPid, 'SIGKILL')
+    }
+    treekill(worker.child.pid, 'SIGKILL')
+  }
+
+  this.reject(error)
+}
+
+WorkerPool.prototype.progress = function() {
+  const elapsed = (Date.now() - this.started) / 1000
+  const rate = this.processed / Math.max(elapsed, 1e-3)
+  const fraction = this.fraction(this.processed)
+
+  const eta = fraction > 0 ? formatDuration(elapsed * (1 - fraction) / fraction) : 'unknown'
+  const workers = this.slots.map((slot, index) => `#${index} ${(slot.processed / Math.max(elapsed, 1e-3)).toFixed(2)}/s` +
+    (slot.restarts ? ` (${slot.restarts} restarts)` : '')).join(', ')
+
+  return `${new Date().toUTCString()} - ${this.processed} done in ${formatDuration(elapsed)}, ${rate.toFixed(2)}/s, ETA ${eta} | ${workers}`
+}
+
+const formatDuration = function(seconds) {
+  const s = Math.round(seconds)
+  const pad = n => String(n).padStart(2, '0')
+
+  return `${pad(Math.floor(s / 3600))}:${pad(Math.floor(s / 60) % 60)}:${pad(s % 60)}`
+}
+
+module.exports = WorkerPool
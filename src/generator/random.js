@@ -0,0 +1,47 @@
+const crypto = require('crypto')
+const _ = require('lodash')
+
+// Small fast counter (sfc32), the state is taken from a sha256 of the seed so any string can be used as seed
+function Random(seed = false) {
+  this.state = null
+  this.seed(seed)
+
+  // Lodash reads Math.random from its context, the context forwards to this generator so reseeding applies to it too
+  const math = Object.create(Math)
+  math.random = () => this.next()
+  this.lodash = _.runInContext({ Math: math })
+}
+
+Random.prototype.seed = function(seed) {
+  if (seed === false || seed === null || seed === undefined) {
+    this.state = null
+    return
+  }
+
+  const digest = crypto.createHash('sha256').update(String(seed)).digest()
+  this.state = new Uint32Array([digest.readUInt32LE(0), digest.readUInt32LE(4), digest.readUInt32LE(8), digest.readUInt32LE(12)])
+
+  // The first outputs of sfc32 are poorly mixed
+  for (let i = 0; i < 12; i++) {
+    this.next()
+  }
+}
+
+Random.prototype.next = function() {
+  if (!this.state) {
+    return Math.random()
+  }
+
+  const s = this.state
+  const t = (s[0] + s[1] + s[3]) >>> 0
+
+  s[3] = (s[3] + 1) >>> 0
+  s[0] = s[1] ^ (s[1] >>> 9)
+  s[1] = (s[2] + (s[2] << 3)) >>> 0
+  s[2] = ((s[2] << 21) | (s[2] >>> 11)) >>> 0
+  s[2] = (s[2] + t) >>> 0
+
+  return t / 4294967296
+}
+
+module.exports = Random
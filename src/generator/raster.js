@@ -0,0 +1,167 @@
+const fs = require('fs-extra')
+const path = require('path')
+const jpeg = require('jpeg-js')
+const { PNG } = require('pngjs')
+const { JSDOM } = require('jsdom')
+
+const { getFontClasses } = require('./geometry')
+
+// Every backend turns an svg string into raw RGBA pixels, encoding happens in one place for all of them
+function PuppeteerRasterizer({ waitOptions }) {
+  this.waitOptions = waitOptions
+  this.needsBrowser = true
+}
+
+PuppeteerRasterizer.prototype.rasterize = async function(page, svg) {
+  await page.setContent(svg, this.waitOptions)
+
+  const svgElement = await page.$('svg')
+  const png = await svgElement.screenshot({ type: 'png', omitBackground: false })
+
+  const { data, width, height } = PNG.sync.read(Buffer.from(png))
+  return { data, width, height }
+}
+
+// The wasm module can only be initialized once per process
+let resvgModule = null
+
+const loadResvg = async function() {
+  if (!resvgModule) {
+    resvgModule = (async() => {
+      const resvg = require('@resvg/resvg-wasm')
+      await resvg.initWasm(await fs.readFile(require.resolve('@resvg/resvg-wasm/index_bg.wasm')))
+      return resvg
+    })()
+  }
+
+  return resvgModule
+}
+
+const findFontFiles = async function(directory) {
+  if (!directory || !await fs.pathExists(directory)) {
+    return []
+  }
+
+  const files = []
+  for (const entry of await fs.readdir(directory, { withFileTypes: true })) {
+    const file = path.join(directory, entry.name)
+
+    if (entry.isDirectory()) {
+      files.push(...await findFontFiles(file))
+      continue
+    }
+
+    if (/\.(ttf|otf)$/i.test(entry.name)) {
+      files.push(file)
+    }
+  }
+
+  return files
+}
+
+function ResvgRasterizer({ fontDirectory }) {
+  this.fontDirectory = fontDirectory
+  this.fontBuffers = null
+  this.needsBrowser = false
+}
+
+ResvgRasterizer.prototype.loadFonts = async function() {
+  if (this.fontBuffers) {
+    return this.fontBuffers
+  }
+
+  const files = await findFontFiles(this.fontDirectory)
+
+  if (!files.length) {
+    console.warn(`no font files found in '${this.fontDirectory}', text will not be rendered`)
+  }
+
+  this.fontBuffers = await Promise.all(files.map(f => fs.readFile(f)))
+  return this.fontBuffers
+}
+
+ResvgRasterizer.prototype.normalize = function(svg) {
+  // resvg neither resolves quoted paint urls nor the font shorthand of the stylesheet, so both are made explicit
+  const document = new JSDOM(svg, { contentType: 'image/svg+xml' }).window.document
+  const classes = getFontClasses(document)
+
+  for (const element of document.querySelectorAll('[class]')) {
+    const font = classes[element.getAttribute('class')]
+
+    if (!font) {
+      continue
+    }
+
+    element.setAttributeNS(null, 'font-family', font.font)
+    element.setAttributeNS(null, 'font-size', font.fontSize)
+    element.setAttributeNS(null, 'font-weight', font.fontWeight)
+  }
+
+  // Right to left text is anchored at its end, resvg does not implement this
+  for (const element of document.querySelectorAll('text')) {
+    const style = element.getAttribute('style') || ''
+
+    if (/direction:\s*rtl/.test(style)) {
+      element.setAttributeNS(null, 'style', style.replace(/text-anchor:\s*start/, 'text-anchor: end').replace(/direction:\s*rtl;?/, ''))
+    }
+  }
+
+  const xml = new document.defaultView.XMLSerializer().serializeToString(document.documentElement)
+  return xml.replace(/url\('#([^']+)'\)/g, 'url(#$1)')
+}
+
+ResvgRasterizer.prototype.rasterize = async function(page, svg) {
+  const { Resvg } = await loadResvg()
+  const fontBuffers = await this.loadFonts()
+
+  // background-color is css on the root element which resvg does not apply
+  const background = (svg.match(/background-color:\s*([^;"]+)/) || [])[1]
+
+  const renderer = new Resvg(this.normalize(svg), {
+    background: background ? background.trim() : '#fff',
+    font: { fontBuffers }
+  })
+
+  const rendered = renderer.render()
+  const image = { data: Buffer.from(rendered.pixels), width: rendered.width, height: rendered.height }
+
+  rendered.free()
+  renderer.free()
+
+  return image
+}
+
+const rasterizers = {
+  puppeteer: PuppeteerRasterizer,
+  resvg: ResvgRasterizer
+}
+
+const createRasterizer = function(name, options) {
+  const Rasterizer = rasterizers[name]
+
+  if (!Rasterizer) {
+    throw new Error(`unknown rasterizer '${name}', use one of ${Object.keys(rasterizers).join(', ')}`)
+  }
+
+  return new Rasterizer(options)
+}
+
+const encodeImage = function({ data, width, height }, format, quality = 100) {
+  if (format === 'jpg') {
+    return jpeg.encode({ data, width, height }, quality).data
+  }
+
+  if (format === 'png') {
+    const png = new PNG({ width, height })
+    png.data = Buffer.from(data)
+    return PNG.sync.write(png)
+  }
+
+  throw new Error(`unknown image format '${format}'`)
+}
+
+module.exports = {
+  rasterizers,
+  createRasterizer,
+  encodeImage
+}
@@ -0,0 +1,219 @@
+const fs = require('fs-extra')
+const path = require('path')
+const tar = require('tar-stream')
+
+const { hash } = require('./misc')
+
+// A sink decides where the files of a sample end up, the renderer only names them by suffix (x.jpg, y.json, ...)
+function DirectorySink({ outputDirectory, outputFlat, shardDepth, shardWidth }) {
+  this.outputDirectory = outputDirectory
+  this.outputFlat = outputFlat
+  this.shardDepth = shardDepth || 0
+  this.shardWidth = shardWidth || 2
+}
+
+DirectorySink.prototype.shards = function(name) {
+  // Nested prefix directories keep the number of entries per directory at 16^width, names that are
+  // not hashes themselves (compound ids) are hashed so that the shards are filled evenly
+  const digest = /^[0-9a-f]{64}$/.test(name) ? name : hash(name)
+  const shards = []
+
+  for (let level = 0; level < this.shardDepth; level++) {
+    shards.push(digest.slice(level * this.shardWidth, (level + 1) * this.shardWidth))
+  }
+
+  return shards
+}
+
+DirectorySink.prototype.paths = function(name, split = null) {
+  // aneb: debugging only, flat output puts all files of all images into one directory
+  const directory = path.join(this.outputDirectory, split || '', ...this.shards(name))
+  const target = this.outputFlat ? directory : path.join(directory, name)
+  const prefix = this.outputFlat ? `${target}/${name}-` : `${target}/`
+
+  return { target, prefix }
+}
+
+DirectorySink.prototype.begin = async function(name, split = null) {
+  const { target, prefix } = this.paths(name, split)
+  await fs.ensureDir(target)
+
+  return {
+    name,
+    files: [],
+    file: suffix => `${prefix}${suffix}`,
+    write: async function(suffix, data) {
+      await fs.writeFile(this.file(suffix), data)
+      this.files.push(this.file(suffix))
+    }
+  }
+}
+
+DirectorySink.prototype.end = async function(sample) {
+  // Files are stored as soon as they are written
+  return { files: sample.files, stored: Promise.resolve() }
+}
+
+DirectorySink.prototype.isStored = function(files) {
+  return true
+}
+
+DirectorySink.prototype.isComplete = async function(name, suffixes, split = null) {
+  const { prefix } = this.paths(name, split)
+
+  // A file that was being written when the run was interrupted can exist but be empty
+  for (const suffix of suffixes) {
+    const stat = await fs.stat(`${prefix}${suffix}`).catch(() => null)
+
+    if (!stat || !stat.size) {
+      return false
+    }
+  }
+
+  return true
+}
+
+DirectorySink.prototype.close = async function() {}
+
+// WebDataset layout, every sample is a group of consecutive members sharing the key before the first dot,
+// i.e. <key>.x.jpg, <key>.y.jpg and <key>.y.json. A shard is written as .partial and renamed once it is complete,
+// every split gets shards of its own
+function TarSink({ outputDirectory, outputTar, worker }) {
+  this.outputDirectory = outputDirectory
+  this.directory = path.join(outputDirectory, 'shards')
+  this.samplesPerShard = outputTar
+  this.worker = worker
+  this.sequences = {}
+  this.shards = {}
+  this.finished = null
+}
+
+TarSink.prototype.shardName = function(directory, split) {
+  // Resumed runs and restarted workers must neither overwrite finished nor abandoned shards
+  let name = null
+  let sequence = this.sequences[split] || 0
+
+  do {
+    name = `shard-${this.worker}-${String(sequence).padStart(6, '0')}.tar`
+    sequence += 1
+  } while (fs.existsSync(path.join(directory, name)) || fs.existsSync(path.join(directory, `${name}.partial`)))
+
+  this.sequences[split] = sequence
+  return name
+}
+
+TarSink.prototype.open = async function(split) {
+  const directory = path.join(this.directory, split)
+  await fs.ensureDir(directory)
+
+  const file = path.join(directory, this.shardName(directory, split))
+  const pack = tar.pack()
+  const stream = fs.createWriteStream(`${file}.partial`)
+  const finished = new Promise((resolve, reject) => {
+    stream.on('finish', resolve)
+    stream.on('error', reject)
+  })
+
+  // Samples only count once their shard was renamed, those of a shard that is abandoned are rendered again
+  const shard = { file, pack, finished, samples: 0 }
+  shard.stored = new Promise((resolve, reject) => Object.assign(shard, { resolve, reject }))
+  shard.stored.catch(() => {})
+
+  pack.pipe(stream)
+  this.shards[split] = shard
+}
+
+TarSink.prototype.key = function(name) {
+  // Dots would split the key, so they cannot be part of it
+  return name.replace(/\./g, '_')
+}
+
+TarSink.prototype.begin = async function(name, split = null) {
+  const shardKey = split || ''
+
+  if (!this.shards[shardKey]) {
+    await this.open(shardKey)
+  }
+
+  const key = this.key(name)
+  const file = this.shards[shardKey].file
+
+  // Members are collected first and only appended to the shard once the whole sample succeeded
+  return {
+    name,
+    shardKey,
+    members: [],
+    file: suffix => path.join(file, `${key}.${suffix}`),
+    write: async function(suffix, data) {
+      this.members.push({ name: `${key}.${suffix}`, data: Buffer.from(data) })
+    }
+  }
+}
+
+TarSink.prototype.end = async function(sample) {
+  const shard = this.shards[sample.shardKey]
+
+  for (const member of sample.members) {
+    await new Promise((resolve, reject) => shard.pack.entry({ name: member.name }, member.data, e => e ? reject(e) : resolve()))
+  }
+
+  const files = sample.members.map(m => path.join(shard.file, m.name))
+
+  shard.samples += 1
+  if (shard.samples >= this.samplesPerShard) {
+    await this.finish(sample.shardKey)
+  }
+
+  return { files, stored: shard.stored }
+}
+
+TarSink.prototype.isStored = function(files) {
+  // Files of tar samples are referenced as <shard>.tar/<member>, finished shards are listed once per run
+  if (!this.finished) {
+    const shards = fs.existsSync(this.directory) ? fs.readdirSync(this.directory, { recursive: true }) : []
+    this.finished = new Set(shards.filter(f => f.endsWith('.tar')).map(f => path.join(this.directory, f)))
+  }
+
+  return files.every(f => this.finished.has(path.join(this.outputDirectory, f.slice(0, f.indexOf('.tar/') + '.tar'.length))))
+}
+
+TarSink.prototype.isComplete = async function() {
+  // Members cannot be looked up without reading the shards, resumed samples were already checked with isStored when
+  // the manifest was read, which only lists the samples of renamed shards
+  return true
+}
+
+TarSink.prototype.finish = async function(shardKey) {
+  const shard = this.shards[shardKey]
+  delete this.shards[shardKey]
+
+  try {
+    shard.pack.finalize()
+    await shard.finished
+    await fs.rename(`${shard.file}.partial`, shard.file)
+    shard.resolve()
+  } catch (e) {
+    shard.reject(e)
+    throw e
+  }
+}
+
+TarSink.prototype.close = async function() {
+  // Every shard is finished even when one fails, so that all samples are settled
+  const results = await Promise.allSettled(Object.keys(this.shards).map(shardKey => this.finish(shardKey)))
+  const failed = results.find(r => r.status === 'rejected')
+
+  if (failed) {
+    throw failed.reason
+  }
+}
+
+const createSink = function(options) {
+  return options.outputTar ? new TarSink(options) : new DirectorySink(options)
+}
+
+module.exports = {
+  DirectorySink,
+  TarSink,
+  createSink
+}
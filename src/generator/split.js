@@ -0,0 +1,116 @@
+const { hash } = require('./misc')
+
+const parseRatios = function(split) {
+  // train=0.8,val=0.1,test=0.1, the ratios do not need to add up to one
+  const ratios = (split === true ? 'train=0.8,val=0.1,test=0.1' : String(split)).split(',').map(part => {
+    const [name, ratio] = part.split('=')
+    return { name: name.trim(), ratio: Number(ratio) }
+  })
+
+  if (ratios.some(r => !r.name || !(r.ratio >= 0)) || !ratios.some(r => r.ratio > 0)) {
+    throw new Error(`invalid split '${split}', use e.g. train=0.8,val=0.1,test=0.1`)
+  }
+
+  const total = ratios.reduce((sum, r) => sum + r.ratio, 0)
+  return ratios.map(r => ({ ...r, ratio: r.ratio / total }))
+}
+
+const framework = function(graph) {
+  // '.' separates disconnected components, it must not turn into a linker
+  const neighbours = id => graph.vertices[id].neighbours.filter(n => graph.getEdge(id, n).bondType !== '.')
+  const ringAtoms = graph.vertices.filter(v => v.value.rings.length > 0).map(v => v.id)
+
+  if (!ringAtoms.length) {
+    return null
+  }
+
+  // Side chains are pruned from their ends, the ring atoms and the linkers between them remain
+  const ring = new Set(ringAtoms)
+  const kept = new Set(graph.vertices.map(v => v.id))
+  let pruned = true
+
+  while (pruned) {
+    pruned = false
+
+    for (const id of kept) {
+      if (!ring.has(id) && neighbours(id).filter(n => kept.has(n)).length <= 1) {
+        kept.delete(id)
+        pruned = true
+      }
+    }
+  }
+
+  // Exocyclic double bonds are part of the framework (Bemis and Murcko 1996)
+  for (const vertex of graph.vertices) {
+    const [anchor, ...others] = neighbours(vertex.id)
+
+    if (!kept.has(vertex.id) && anchor !== undefined && !others.length && kept.has(anchor) && graph.getEdge(vertex.id, anchor).bondType === '=') {
+      kept.add(vertex.id)
+    }
+  }
+
+  return kept
+}
+
+const scaffoldKey = function(graph) {
+  const kept = framework(graph)
+
+  if (!kept) {
+    return ''
+  }
+
+  // Weisfeiler-Lehman refinement gives the same key for the same scaffold whatever the atom order of the input
+  const ids = [...kept]
+  const neighbours = id => graph.vertices[id].neighbours.filter(n => kept.has(n) && graph.getEdge(id, n).bondType !== '.')
+  const atom = id => {
+    const { element, isPartOfAromaticRing } = graph.vertices[id].value
+    return isPartOfAromaticRing ? element.toLowerCase() : element
+  }
+
+  let labels = new Map(ids.map(id => [id, atom(id)]))
+
+  for (let i = 0; i < 4; i++) {
+    labels = new Map(ids.map(id => {
+      const environment = neighbours(id).map(n => `${graph.getEdge(id, n).bondType}${labels.get(n)}`).sort()
+      return [id, hash(`${labels.get(id)}(${environment.join(',')})`).slice(0, 16)]
+    }))
+  }
+
+  return hash([...labels.values()].sort().join(',')).slice(0, 16)
+}
+
+// Splits are assigned from a hash of the SMILES or its scaffold, so that every molecule gets the same split
+// in every run and across workers without keeping track of the groups, the ratios hold in expectation
+function Splitter({ split, splitBy, seed }) {
+  this.ratios = parseRatios(split)
+  this.splitBy = splitBy || 'random'
+  this.seed = seed === false || seed === undefined ? '' : `${seed}:`
+
+  if (!['random', 'scaffold'].includes(this.splitBy)) {
+    throw new Error(`unknown split mode '${this.splitBy}', use one of random, scaffold`)
+  }
+}
+
+// The scaffold key comes from the analysis of the molecule, it is null when splitting at random or if the molecule
+// could not be parsed
+Splitter.prototype.assign = function(smiles, scaffold = null) {
+  // Molecules without rings share the empty scaffold, they are assigned one by one instead of all to one split
+  const key = scaffold === null || scaffold === '' ? `smiles:${smiles}` : `scaffold:${scaffold}`
+  const value = parseInt(hash(this.seed + key).slice(0, 8), 16) / 0x100000000
+
+  let threshold = 0
+  for (const { name, ratio } of this.ratios) {
+    threshold += ratio
+
+    if (value < threshold) {
+      return { split: name, scaffold }
+    }
+  }
+
+  return { split: this.ratios[this.ratios.length - 1].name, scaffold }
+}
+
+module.exports = {
+  Splitter,
+  scaffoldKey
+}
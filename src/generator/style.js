@@ -0,0 +1,351 @@
+const fs = require('fs')
+const path = require('path')
+const _ = require('lodash')
+const yaml = require('js-yaml')
+const Ajv = require('ajv')
+
+const { degradations: defaultDegradations } = require('./degrade')
+const { distractors: defaultDistractors } = require('./distractors')
+
+// Every drawing option is described by a distribution, relative values are multiplied with the base value
+// (a tenth of the image size) so that the layout stays relatively constant across sizes
+const defaultOptions = {
+  overlapSensitivity: { type: 'fixed', value: 1e-1 },
+  overlapResolutionIterations: { type: 'fixed', value: 50 },
+  strokeWidth: { type: 'uniform', min: 5, max: 10 },
+  gradientOffset: { type: 'uniform', min: 0, max: 100 },
+  wedgeBaseWidth: { type: 'uniform', min: 0.2, max: 0.4, relative: true },
+  dashedWedgeSpacing: { type: 'uniform', min: 0.04, max: 0.05, relative: true },
+  dashedWedgeWidth: { type: 'uniform', min: 0.6, max: 0.8, relative: true },
+  bondThickness: { type: 'uniform', min: 0.1, max: 0.2, relative: true },
+  bondLength: { type: 'uniform', min: 2, max: 4, relative: true },
+  shortBondLength: { type: 'uniform', min: 0.7, max: 0.85 },
+  bondSpacing: { type: 'uniform', min: 0.2, max: 0.5, relative: true },
+  font: null,
+  fontWeight: null,
+  fontSizeLarge: { type: 'uniform', min: 0.8, max: 0.95, relative: true },
+  fontSizeSmall: { type: 'uniform', min: 0.5, max: 0.65, relative: true },
+  padding: { type: 'uniform', min: 2, max: 6, relative: true },
+  terminalCarbons: { type: 'choice', values: [true, false] },
+  explicitHydrogens: { type: 'choice', values: [true, false] },
+  aromaticRings: { type: 'choice', values: ['circle', 'kekule'] }
+}
+
+const defaultColormaps = [
+  { name: 'default', weight: 1 },
+  { name: 'mono', weight: 1 },
+  { name: 'random', weight: 1, background: { type: 'uniform', min: 200, max: 255 } }
+]
+
+const presets = {
+  // ACS document 1996 settings, bond length 14.4pt, line width 0.6pt, bond spacing 18% of the bond length,
+  // Arial/Helvetica 10pt. The bond length is fixed to 3 base values and everything else is scaled to it
+  'acs-1996': {
+    options: {
+      strokeWidth: { type: 'fixed', value: 0.125, relative: true },
+      gradientOffset: { type: 'fixed', value: 0 },
+      wedgeBaseWidth: { type: 'fixed', value: 0.21, relative: true },
+      dashedWedgeSpacing: { type: 'fixed', value: 0.05, relative: true },
+      dashedWedgeWidth: { type: 'fixed', value: 0.42, relative: true },
+      bondThickness: { type: 'fixed', value: 0.125, relative: true },
+      bondLength: { type: 'fixed', value: 3, relative: true },
+      shortBondLength: { type: 'fixed', value: 0.8 },
+      bondSpacing: { type: 'fixed', value: 0.54, relative: true },
+      font: { type: 'fixed', value: 'Arial, Helvetica, sans-serif' },
+      fontWeight: { type: 'fixed', value: 400 },
+      fontSizeLarge: { type: 'fixed', value: 1.56, relative: true },
+      fontSizeSmall: { type: 'fixed', value: 1.1, relative: true },
+      padding: { type: 'fixed', value: 2, relative: true },
+      terminalCarbons: { type: 'fixed', value: false },
+      explicitHydrogens: { type: 'fixed', value: false },
+      aromaticRings: { type: 'fixed', value: 'kekule' }
+    },
+    colormaps: [{ name: 'mono', weight: 1 }]
+  },
+  // Black on white with irregular line widths and fonts as found in scanned patent documents
+  'noisy-patent-scan': {
+    options: {
+      strokeWidth: { type: 'normal', mean: 0.15, sd: 0.05, min: 0.05, max: 0.3, relative: true },
+      gradientOffset: { type: 'fixed', value: 0 },
+      bondThickness: { type: 'normal', mean: 0.15, sd: 0.05, min: 0.05, max: 0.3, relative: true },
+      bondLength: { type: 'normal', mean: 3, sd: 0.5, min: 2, max: 4, relative: true },
+      font: { type: 'choice', values: ['Courier New, monospace', 'Times New Roman, serif', 'Arial, sans-serif'], weights: [1, 2, 2] },
+      fontWeight: { type: 'choice', values: [400, 700], weights: [3, 1] },
+      fontSizeLarge: { type: 'normal', mean: 1.2, sd: 0.2, min: 0.8, max: 1.6, relative: true },
+      fontSizeSmall: { type: 'normal', mean: 0.8, sd: 0.1, min: 0.5, max: 1.1, relative: true }
+    },
+    colormaps: [{ name: 'mono', weight: 1 }],
+    degradations: {
+      rotate: { probability: 0.5 },
+      skew: { probability: 0.3 },
+      perspective: { probability: 0.3 },
+      erode: { probability: 0.15 },
+      dilate: { probability: 0.15 },
+      blur: { probability: 0.3 },
+      texture: { probability: 0.3 },
+      gaussianNoise: { probability: 0.5 },
+      saltAndPepper: { probability: 0.3 },
+      binarize: { probability: 0.3 },
+      jpeg: { probability: 0.5 }
+    }
+  }
+}
+
+const number = { type: 'number' }
+const relative = { type: 'boolean' }
+
+const distributionSchema = {
+  oneOf: [
+    { type: ['number', 'string', 'boolean'] },
+    {
+      type: 'object',
+      properties: { type: { const: 'fixed' }, value: {}, relative },
+      required: ['type', 'value'],
+      additionalProperties: false
+    },
+    {
+      type: 'object',
+      properties: { type: { const: 'uniform' }, min: number, max: number, float: { type: 'boolean' }, relative },
+      required: ['type', 'min', 'max'],
+      additionalProperties: false
+    },
+    {
+      type: 'object',
+      properties: { type: { const: 'normal' }, mean: number, sd: { type: 'number', minimum: 0 }, min: number, max: number, relative },
+      required: ['type', 'mean', 'sd'],
+      additionalProperties: false
+    },
+    {
+      type: 'object',
+      properties: { type: { const: 'choice' }, values: { type: 'array', minItems: 1 }, weights: { type: 'array', items: { type: 'number', minimum: 0 } }, relative },
+      required: ['type', 'values'],
+      additionalProperties: false,
+      weightsMatchValues: true
+    }
+  ]
+}
+
+// Degradations and distractors, every entry has a probability and distributions for its parameters
+const augmentationSchema = function(defaults) {
+  return {
+    type: 'object',
+    propertyNames: { enum: Object.keys(defaults) },
+    additionalProperties: {
+      type: 'object',
+      properties: { probability: { type: 'number', minimum: 0, maximum: 1 } },
+      additionalProperties: distributionSchema
+    }
+  }
+}
+
+const configSchema = {
+  type: 'object',
+  properties: {
+    preset: { enum: Object.keys(presets) },
+    options: {
+      type: 'object',
+      propertyNames: { enum: Object.keys(defaultOptions) },
+      additionalProperties: distributionSchema
+    },
+    colormaps: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        properties: {
+          name: { enum: ['default', 'mono', 'random', 'custom'] },
+          weight: { type: 'number', minimum: 0 },
+          background: distributionSchema,
+          colors: { type: 'object', additionalProperties: { type: 'string' } }
+        },
+        required: ['name'],
+        additionalProperties: false
+      }
+    },
+    degradations: augmentationSchema(defaultDegradations),
+    distractors: augmentationSchema(defaultDistractors)
+  },
+  additionalProperties: false
+}
+
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true })
+
+// A choice has one weight per value, JSON schema cannot compare the lengths of two arrays
+const weightsMatchValues = function(enabled, { values, weights }) {
+  if (!enabled || !Array.isArray(values) || !Array.isArray(weights) || weights.length === values.length) {
+    return true
+  }
+
+  weightsMatchValues.errors = [{ keyword: 'weightsMatchValues', message: 'must have as many weights as values', params: { values: values.length, weights: weights.length } }]
+  return false
+}
+
+ajv.addKeyword({ keyword: 'weightsMatchValues', type: 'object', schemaType: 'boolean', errors: true, validate: weightsMatchValues })
+
+const validate = ajv.compile(configSchema)
+
+const readConfig = function(config) {
+  if (presets[config]) {
+    return { preset: config }
+  }
+
+  const text = fs.readFileSync(path.resolve(config), 'utf8')
+  return /\.ya?ml$/i.test(config) ? yaml.load(text) : JSON.parse(text)
+}
+
+const toDistribution = function(value) {
+  if (value === null || typeof value !== 'object') {
+    return { type: 'fixed', value }
+  }
+
+  return value
+}
+
+const loadStyle = function(config, { fonts, fontWeights }) {
+  const raw = config ? readConfig(config) : {}
+
+  if (!validate(raw)) {
+    const errors = validate.errors.map(e => `${e.instancePath || '/'} ${e.message} ${JSON.stringify(e.params)}`).join(', ')
+    throw new Error(`invalid config '${config}': ${errors}`)
+  }
+
+  const preset = raw.preset ? presets[raw.preset] : {}
+  const options = {
+    ...defaultOptions,
+    font: { type: 'choice', values: fonts },
+    fontWeight: { type: 'choice', values: fontWeights },
+    ...preset.options,
+    ...raw.options
+  }
+
+  for (const [key, value] of Object.entries(options)) {
+    options[key] = toDistribution(value)
+  }
+
+  const colormaps = (raw.colormaps || preset.colormaps || defaultColormaps).map(c => ({ weight: 1, ...c }))
+
+  if (colormaps.some(c => c.name === 'custom' && !c.colors)) {
+    throw new Error(`invalid config '${config}': custom colormaps need colors`)
+  }
+
+  // An entry of the config replaces the one of the preset, probability 0 turns it off
+  const degradations = loadAugmentations(config, 'degradation', defaultDegradations, { ...preset.degradations, ...raw.degradations })
+  const distractors = loadAugmentations(config, 'distractor', defaultDistractors, { ...preset.distractors, ...raw.distractors })
+
+  return { preset: raw.preset || null, options, colormaps, degradations, distractors }
+}
+
+const loadAugmentations = function(config, kind, defaults, configured) {
+  // Kept in the order of the pipeline, parameters that are not given keep their defaults
+  return Object.keys(defaults).filter(name => configured[name]).map(name => {
+    const { probability = 1, ...params } = configured[name]
+    const unknown = Object.keys(params).filter(key => !defaults[name][key])
+
+    if (unknown.length) {
+      throw new Error(`invalid config '${config}': unknown parameters ${unknown.join(', ')} of ${kind} '${name}'`)
+    }
+
+    return {
+      name,
+      probability,
+      params: _.mapValues({ ...defaults[name], ...params }, toDistribution)
+    }
+  })
+}
+
+const weightedIndex = function(weights, random) {
+  const total = weights.reduce((sum, w) => sum + w, 0)
+  let threshold = random.next() * total
+
+  for (let i = 0; i < weights.length; i++) {
+    threshold -= weights[i]
+    if (threshold < 0) {
+      return i
+    }
+  }
+
+  return weights.length - 1
+}
+
+const sampleChoice = function(values, weights, random) {
+  // Equal weights fall back to lodash to draw the same values as an unweighted choice
+  if (!weights || weights.every(w => w === weights[0])) {
+    return random.lodash.sample(values)
+  }
+
+  return values[weightedIndex(weights, random)]
+}
+
+const sample = function(distribution, random, baseValue) {
+  const { type, relative } = distribution
+  let value = null
+
+  switch (type) {
+    case 'fixed':
+      value = distribution.value
+      break
+    case 'uniform':
+      value = random.lodash.random(distribution.min, distribution.max, !!distribution.float)
+      break
+    case 'normal': {
+      // Box-Muller transform, clamped to the optional bounds
+      const u = 1 - random.next()
+      const v = random.next()
+      value = distribution.mean + distribution.sd * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v)
+      value = Math.min(Math.max(value, distribution.min ?? -Infinity), distribution.max ?? Infinity)
+      break
+    }
+    case 'choice':
+      value = sampleChoice(distribution.values, distribution.weights, random)
+      break
+    default:
+      throw new Error(`unknown distribution '${type}'`)
+  }
+
+  return relative ? baseValue * value : value
+}
+
+const sampleOptions = function(style, random, baseValue) {
+  const options = {}
+
+  for (const [key, distribution] of Object.entries(style.options)) {
+    options[key] = sample(distribution, random, baseValue)
+  }
+
+  return options
+}
+
+const sampleColormap = function(style, random) {
+  return sampleChoice(style.colormaps, style.colormaps.map(c => c.weight), random)
+}
+
+const samplePlan = function(augmentations, random, baseValue) {
+  const plan = []
+
+  for (const { name, probability, params } of augmentations || []) {
+    if (random.next() < probability) {
+      plan.push({ name, params: _.mapValues(params, distribution => sample(distribution, random, baseValue)) })
+    }
+  }
+
+  return plan
+}
+
+const sampleDegradations = function(style, random) {
+  return samplePlan(style.degradations, random, 1)
+}
+
+const sampleDistractors = function(style, random, baseValue) {
+  return samplePlan(style.distractors, random, baseValue)
+}
+
+module.exports = {
+  presets,
+  configSchema,
+  loadStyle,
+  sample,
+  sampleOptions,
+  sampleColormap,
+  sampleDegradations,
+  sampleDistractors
+}
@@ -1,3 +1,5 @@
+const Atom = require('../drawer/Atom')
+
 const bondLabels = {
   single: 'single-bond',
   double: 'double-bond',
@@ -8,4 +10,26 @@ const bondLabels = {
   wedgeDashed: 'wedge-dashed-bond'
 }
 
-module.exports = { bondLabels }
+const textLabel = 'element-text'
+
+const distractorLabel = 'distractor'
+
+// One instance per structure on canvases with several molecules
+const moleculeLabel = 'molecule'
+
+// Lower case symbols are the aromatic duplicates of the elements
+const elementSymbols = Object.keys(Atom.atomicNumbers).filter(e => e[0] === e[0].toUpperCase())
+
+// Order is fixed so class indices stay stable between runs
+const labelVocabulary = [
+  ...Object.values(bondLabels),
+  ...elementSymbols.map(e => `${textLabel}-${e}`),
+  distractorLabel,
+  moleculeLabel
+]
+
+const labelClass = function({ label, element }) {
+  return label === textLabel ? `${textLabel}-${element}` : label
+}
+
+module.exports = { bondLabels, textLabel, distractorLabel, moleculeLabel, labelVocabulary, labelClass }
@@ -0,0 +1,54 @@
+const fs = require('fs-extra')
+const path = require('path')
+const _ = require('lodash')
+
+const { labelVocabulary, labelClass } = require('./types')
+const { parsePolygon, orderPolygon, boundingBox } = require('./misc')
+
+const corners = function(points) {
+  // Every label polygon has four corners, anything else falls back to its axis-aligned box
+  if (points.length === 4) {
+    return orderPolygon(points)
+  }
+
+  const [x, y, w, h] = boundingBox(points)
+  return [[x, y], [x + w, y], [x + w, y + h], [x, y + h]]
+}
+
+const formatLine = function(label, { width, height }, format) {
+  const name = labelClass(label)
+  const points = parsePolygon(label.xy)
+  const normalize = ([x, y]) => [_.round(x / width, 6), _.round(y / height, 6)]
+
+  if (format === 'aabb') {
+    const [x, y, w, h] = boundingBox(points)
+    const [cx, cy] = normalize([x + w / 2, y + h / 2])
+    const [nw, nh] = normalize([w, h])
+    return [labelVocabulary.indexOf(name), cx, cy, nw, nh].join(' ')
+  }
+
+  if (format === 'obb') {
+    return [labelVocabulary.indexOf(name), ..._.flatten(corners(points).map(normalize))].join(' ')
+  }
+
+  // DOTA keeps pixel coordinates, names the class and ends with the difficulty flag
+  return [..._.flatten(corners(points).map(p => p.map(v => _.round(v, 2)))), name, 0].join(' ')
+}
+
+const yoloLines = function(record, format = 'aabb') {
+  return record.labels
+    .filter(l => labelVocabulary.includes(labelClass(l)))
+    .map(l => formatLine(l, record, format))
+    .join('\n')
+}
+
+const writeYoloClasses = async function(outputDirectory) {
+  const file = path.join(outputDirectory, 'classes.txt')
+  await fs.writeFile(file, labelVocabulary.join('\n') + '\n')
+  return file
+}
+
+module.exports = {
+  yoloLines,
+  writeYoloClasses
+}
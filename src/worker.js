@@ -1,21 +1,92 @@
+const path = require('path')
 const Renderer = require('./generator/Renderer')
+const { describeError } = require('./generator/failures')
 const puppeteer = require('puppeteer')
 
-process.on('message', async({ conf, smilesList, browserOptions }) => {
-  const browser = await puppeteer.launch(browserOptions)
-  const renderer = new Renderer(conf)
-  const page = await browser.newPage()
-  process.send({ browserPid: browser.process().pid })
+// A worker lives as long as the pool has work for it, it asks for the next chunk whenever it is done
+let conf = null
+let renderer = null
+let browser = null
+let page = null
 
-  for (const smiles of smilesList) {
+// Entries and records of samples that are rendered but not stored yet
+const held = new Set()
+
+const ready = function() {
+  process.send({ ready: true, memory: process.memoryUsage().rss })
+}
+
+const init = async function(message) {
+  conf = message.conf
+  renderer = new Renderer({ ...conf, worker: message.worker })
+
+  // Browser is only launched when a part of the pipeline still depends on it
+  browser = renderer.needsBrowser() ? await puppeteer.launch(message.browserOptions) : null
+  page = browser ? await browser.newPage() : null
+  process.send({ browserPid: browser ? browser.process().pid : null })
+
+  ready()
+}
+
+const processMolecules = async function(molecules) {
+  for (const { seq, id, smiles, canonicalSmiles, compoundId, properties, split, scaffold, members } of molecules) {
     try {
-      await renderer.imageFromSmilesString(page, smiles)
+      // A canvas is one sample, it fails as a whole when one of its molecules does
+      const { stored, ...record } = members
+        ? await renderer.imageFromMolecules(page, members, { split })
+        : await renderer.imageFromSmilesString(page, smiles, { canonicalSmiles, compoundId, properties, split, scaffold })
+
+      process.send({ rendered: seq })
+
+      // The sample is only reported once it is stored, if this worker dies before, the pool renders it again
+      const files = record.files.map(f => path.relative(conf.outputDirectory, f))
+      const report = stored.then(() => {
+        if (conf.outputCoco || conf.outputSdf) {
+          process.send({ record })
+        }
+
+        process.send({ seq, entry: { id, compoundId, split, smiles, status: 'success', files } })
+      }, e => {
+        process.send({ seq, entry: { id, compoundId, split, smiles, status: 'failure', ...describeError(e), stage: 'worker' } })
+      })
+
+      held.add(report)
+      report.then(() => held.delete(report))
     } catch (e) {
       console.error(`PID ${process.pid}: failed to process SMILES string '${smiles}'`, e.message)
+      process.send({ seq, entry: { id, compoundId, split, smiles, status: 'failure', ...describeError(e) } })
     }
   }
 
-  await page.close()
-  await browser.close()
-  process.exit(0)
+  // A fresh page per chunk releases the memory chromium holds for the documents of the previous one
+  if (browser) {
+    await page.close()
+    page = await browser.newPage()
+  }
+
+  ready()
+}
+
+const stop = async function() {
+  // Closing finishes the open shards, their samples are reported before the worker exits
+  await renderer.close().catch(e => console.error(`PID ${process.pid}: failed to finish the outputs`, e.message))
+  await Promise.all(held)
+
+  if (browser) {
+    await page.close()
+    await browser.close()
+  }
+
+  // Exiting right away could drop entries that are still queued on the channel
+  process.send({ stopped: true }, () => process.exit(0))
+}
+
+process.on('message', async({ init: initMessage, molecules, stop: stopMessage }) => {
+  if (initMessage) {
+    await init(initMessage)
+  } else if (molecules) {
+    await processMolecules(molecules)
+  } else if (stopMessage) {
+    await stop()
+  }
 })
@@ -0,0 +1,52 @@
+const test = require('node:test')
+const assert = require('node:assert')
+
+const { Analysis, AnalysisPool } = require('../src/generator/analysis')
+
+const smiles = ['OCC', 'CCO', 'c1ccccc1', 'C1=CC=CC=C1', 'F/C=C/F', 'F/C=C\\F', 'CC(=O)O', 'not a smiles', 'C1CCCCC1', 'N']
+
+const molecules = async function * () {
+  for (const [index, s] of smiles.entries()) {
+    yield { index, smiles: s }
+  }
+}
+
+test('one parse gives the canonical SMILES, descriptors and scaffold', () => {
+  const { canonicalSmiles, descriptors, scaffold } = new Analysis({ descriptors: true, scaffold: true }).analyze('c1ccccc1CCO')
+
+  assert.strictEqual(canonicalSmiles, 'c1ccc(cc1)CCO')
+  assert.strictEqual(descriptors.heavyAtoms, 9)
+  assert.notStrictEqual(scaffold, '')
+})
+
+test('molecules that cannot be parsed keep their input', () => {
+  assert.deepStrictEqual(new Analysis({ descriptors: true }).analyze('not a smiles'), { canonicalSmiles: 'not a smiles', descriptors: null, scaffold: null })
+})
+
+test('threads yield the molecules in input order', async() => {
+  const expected = smiles.map(s => new Analysis().analyze(s).canonicalSmiles)
+  const analyzed = []
+
+  for await (const molecule of new AnalysisPool({ threads: 2, batchSize: 3 }).run(molecules())) {
+    analyzed.push(molecule)
+  }
+
+  assert.deepStrictEqual(analyzed.map(m => m.index), smiles.map((s, i) => i))
+  assert.deepStrictEqual(analyzed.map(m => m.canonicalSmiles), expected)
+  assert.strictEqual(expected[0], expected[1])
+  assert.strictEqual(expected[2], expected[3])
+})
+
+test('the threads stop when the consumer stops early', async() => {
+  const analyzed = []
+
+  for await (const molecule of new AnalysisPool({ threads: 2, batchSize: 2 }).run(molecules())) {
+    analyzed.push(molecule)
+
+    if (analyzed.length === 3) {
+      break
+    }
+  }
+
+  assert.deepStrictEqual(analyzed.map(m => m.smiles), smiles.slice(0, 3))
+})
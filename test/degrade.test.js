@@ -0,0 +1,74 @@
+const test = require('node:test')
+const assert = require('node:assert')
+
+const { degrade, projectiveTransform, projectPoints } = require('../src/generator/degrade')
+
+const length = ([x1, y1], [x2, y2]) => Math.hypot(x2 - x1, y2 - y1)
+
+test('perspective shrinks one edge of the image and grows the other', () => {
+  const move = projectPoints(projectiveTransform([{ name: 'perspective', params: { x: 0.1, y: 0 } }], 100, 50))
+  const [topLeft, topRight, bottomRight, bottomLeft] = move([[0, 0], [100, 0], [100, 50], [0, 50]])
+
+  assert.ok(Math.abs(length(topRight, bottomRight) - 50 / 1.1) < 1e-3)
+  assert.ok(Math.abs(length(topLeft, bottomLeft) - 50 / 0.9) < 1e-3)
+})
+
+test('labels follow the pixels through rotation, skew and perspective', () => {
+  const plan = [
+    { name: 'rotate', params: { angle: 20 } },
+    { name: 'skew', params: { x: 0.05, y: -0.03 } },
+    { name: 'perspective', params: { x: -0.08, y: 0.1 } }
+  ]
+  const [width, height] = [80, 60]
+  const data = Buffer.alloc(width * height * 4, 255)
+  const dot = [57, 14]
+
+  for (let k = 0; k < 3; k++) {
+    data[(dot[1] * width + dot[0]) * 4 + k] = 0
+  }
+
+  const image = degrade({ data, width, height }, plan, null, { photometric: false, nearest: true })
+  const [[x, y]] = projectPoints(projectiveTransform(plan, width, height))([[dot[0] + 0.5, dot[1] + 0.5]])
+  const pixel = image.data[(Math.floor(y) * image.width + Math.floor(x)) * 4]
+
+  assert.strictEqual(pixel, 0)
+})
+
+test('interpolated pixels are warped to where projectPoints moves their labels', () => {
+  const plan = [
+    { name: 'rotate', params: { angle: -35 } },
+    { name: 'skew', params: { x: -0.04, y: 0.06 } },
+    { name: 'perspective', params: { x: 0.1, y: -0.05 } }
+  ]
+  const [width, height] = [90, 70]
+  const data = Buffer.alloc(width * height * 4, 255)
+  const dots = [[5, 5], [84, 8], [45, 35], [10, 62], [80, 60]]
+
+  for (const [x, y] of dots) {
+    data.fill(0, (y * width + x) * 4, (y * width + x) * 4 + 3)
+  }
+
+  const image = degrade({ data, width, height }, plan, null, { photometric: false })
+  const moved = projectPoints(projectiveTransform(plan, width, height))(dots.map(([x, y]) => [x + 0.5, y + 0.5]))
+
+  for (const [x, y] of moved) {
+    let darkest = null
+
+    for (let py = Math.floor(y) - 3; py <= Math.floor(y) + 3; py++) {
+      for (let px = Math.floor(x) - 3; px <= Math.floor(x) + 3; px++) {
+        const value = image.data[(py * image.width + px) * 4]
+
+        if (darkest === null || value < darkest.value) {
+          darkest = { value, px, py }
+        }
+      }
+    }
+
+    assert.ok(darkest.value < 255)
+    assert.ok(length([darkest.px + 0.5, darkest.py + 0.5], [x, y]) < 1, `pixel at ${darkest.px},${darkest.py} for ${x},${y}`)
+  }
+})
+
+test('a perspective that folds the image is rejected', () => {
+  assert.throws(() => projectiveTransform([{ name: 'perspective', params: { x: 1.5, y: 0 } }], 100, 50), /folds the image/)
+})
@@ -0,0 +1,41 @@
+const test = require('node:test')
+const assert = require('node:assert')
+
+const Parser = require('../src/drawer/Parser')
+const Drawer = require('../src/drawer/Drawer')
+
+const descriptors = function(smiles) {
+  const drawer = new Drawer({})
+  drawer.initDraw(Parser.parse(smiles))
+  return drawer.getDescriptors()
+}
+
+const aromaticRings = [
+  ['c1ccccc1', 1],
+  ['C1=CC=CC=C1', 1],
+  ['C1=CC2=CC=CC=C2C=C1', 2],
+  ['C1=CNC=C1', 1],
+  ['c1ccc2c(c1)-c1ccccc1-2', 2],
+  ['C1CCCCC1', 0]
+]
+
+for (const [smiles, count] of aromaticRings) {
+  test(`${smiles} has ${count} aromatic rings`, () => {
+    assert.strictEqual(descriptors(smiles).aromaticRings, count)
+  })
+}
+
+const rotatableBonds = [
+  ['CCO', 0],
+  ['CCO.O', 0],
+  ['CCCC', 1],
+  ['CCCC.O', 1],
+  ['c1ccccc1CC', 1],
+  ['C1CCCCC1', 0]
+]
+
+for (const [smiles, count] of rotatableBonds) {
+  test(`${smiles} has ${count} rotatable bonds`, () => {
+    assert.strictEqual(descriptors(smiles).rotatableBonds, count)
+  })
+}
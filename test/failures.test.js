@@ -0,0 +1,29 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const os = require('os')
+const path = require('path')
+const fs = require('fs-extra')
+
+const { FailureReport } = require('../src/generator/failures')
+
+test('failures are counted and streamed, rare messages are dropped past the limit', async() => {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'failures-'))
+  const failures = new FailureReport(directory, false, 4)
+
+  for (let i = 0; i < 10; i++) {
+    failures.add({ id: String(i), smiles: 'C1', stage: 'parse', error: 'SyntaxError', message: i % 2 ? 'unclosed ring' : `message ${i}` })
+  }
+
+  await failures.close()
+
+  const lines = (await fs.readFile(failures.file, 'utf8')).trim().split('\n')
+  assert.strictEqual(lines.length, 10)
+  assert.strictEqual(failures.count, 10)
+  assert.deepStrictEqual(failures.byStage, { parse: 10 })
+  assert.deepStrictEqual(failures.byError, { 'parse: SyntaxError': 10 })
+  assert.ok(failures.byMessage.size <= 4)
+  assert.strictEqual(failures.byMessage.get('parse: unclosed ring'), 5)
+  assert.match(failures.summary(20), /^10 of 20 SMILES strings failed/)
+
+  await fs.remove(directory)
+})
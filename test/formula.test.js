@@ -0,0 +1,29 @@
+const test = require('node:test')
+const assert = require('node:assert')
+
+const Parser = require('../src/drawer/Parser')
+const Drawer = require('../src/drawer/Drawer')
+
+const formula = function(smiles) {
+  const drawer = new Drawer({})
+  drawer.initDraw(Parser.parse(smiles))
+  return drawer.getMolecularFormula()
+}
+
+const cases = [
+  ['[Na+].[Cl-]', 'ClNa'],
+  ['B(F)(F)F', 'BF3'],
+  ['[Fe]', 'Fe'],
+  ['ClCl', 'Cl2'],
+  ['S(F)(F)(F)(F)(F)F', 'F6S'],
+  ['CCO', 'C2H6O'],
+  ['[NH4+]', 'H4N'],
+  ['C[C@H](N)C(=O)O', 'C3H7NO2'],
+  ['c1ccncc1', 'C5H5N']
+]
+
+for (const [smiles, expected] of cases) {
+  test(`the formula of ${smiles} is ${expected}`, () => {
+    assert.strictEqual(formula(smiles), expected)
+  })
+}
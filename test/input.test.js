@@ -0,0 +1,75 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const os = require('os')
+const path = require('path')
+const zlib = require('zlib')
+const fs = require('fs-extra')
+const { Readable } = require('stream')
+
+const { readDelimited, readMolecules } = require('../src/generator/input')
+
+const collect = async function(iterable) {
+  const items = []
+
+  for await (const item of iterable) {
+    items.push(item)
+  }
+
+  return items
+}
+
+const delimited = (chunks, delimiter = ',') => collect(readDelimited(Readable.from(chunks), delimiter))
+
+const molecules = async function(name, content, options = {}) {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'input-'))
+  const file = path.join(directory, name)
+  await fs.writeFile(file, content)
+
+  try {
+    return await collect(readMolecules({ file, ...options }))
+  } finally {
+    await fs.remove(directory)
+  }
+}
+
+test('quoted fields keep delimiters and quotes escaped as ""', async() => {
+  assert.deepStrictEqual(await delimited(['a,"b,c","say ""hi"""\n']), [['a', 'b,c', 'say "hi"']])
+})
+
+test('quotes and escapes split across chunks are read as one', async() => {
+  assert.deepStrictEqual(await delimited(['"say "', '"hi""', '",x\n']), [['say "hi"', 'x']])
+})
+
+test('quoted fields keep newlines, records end at CRLF', async() => {
+  assert.deepStrictEqual(await delimited(['id,smiles\r\n1,"C\r\nC"\r\n', '2,CC\r\n\r\n3,O']), [['id', 'smiles'], ['1', 'C\r\nC'], ['2', 'CC'], ['3', 'O']])
+})
+
+test('tab separated fields are split at tabs only', async() => {
+  assert.deepStrictEqual(await delimited(['a,b\tc\n'], '\t'), [['a,b', 'c']])
+})
+
+test('columns are looked up by header name', async() => {
+  const records = await molecules('in.csv', 'id,smiles\nA,CCO\nB, c1ccccc1 \nC,\n', { column: 'smiles' })
+
+  assert.deepStrictEqual(records, [{ smiles: 'CCO', row: { id: 'A', smiles: 'CCO' } }, { smiles: 'c1ccccc1', row: { id: 'B', smiles: ' c1ccccc1 ' } }])
+})
+
+test('a column that is not in the header is an error', async() => {
+  await assert.rejects(molecules('in.csv', 'id,smiles\nA,CCO\n', { column: 'structure' }), /column 'structure' not found/)
+})
+
+test('gzipped input is detected by its content', async() => {
+  const records = await molecules('in.csv.gz', zlib.gzipSync('smiles,id\nCCO,A\nCCN,B\n'), { column: 'smiles' })
+
+  assert.deepStrictEqual(records.map(r => [r.smiles, r.row.id]), [['CCO', 'A'], ['CCN', 'B']])
+})
+
+test('names in smi files can contain whitespace, comments are skipped', async() => {
+  const records = await molecules('in.smi', '# header\nCCO ethanol\nc1ccccc1\tbenzene ring\r\nO\n')
+
+  assert.deepStrictEqual(records.map(r => r.row), [
+    { smiles: 'CCO', name: 'ethanol' },
+    { smiles: 'c1ccccc1', name: 'benzene ring' },
+    { smiles: 'O', name: '' }
+  ])
+})
@@ -0,0 +1,38 @@
+const test = require('node:test')
+const assert = require('node:assert')
+
+const KeySet = require('../src/generator/keys')
+const { hash } = require('../src/generator/misc')
+
+test('a key set holds the same keys as a set', () => {
+  const keys = new KeySet()
+  const expected = new Set()
+
+  // Enough keys to grow the shards several times, every third one is removed again
+  for (let i = 0; i < 100000; i++) {
+    const key = i % 2 ? hash(String(i)) : `compound-${i}`
+    keys.add(key)
+    expected.add(key)
+
+    if (i % 3 === 0) {
+      const removed = i % 2 ? hash(String(i / 3)) : `compound-${i / 3}`
+      assert.strictEqual(keys.delete(removed), expected.delete(removed))
+    }
+  }
+
+  assert.strictEqual(keys.size, expected.size)
+
+  for (let i = 0; i < 100000; i++) {
+    for (const key of [hash(String(i)), `compound-${i}`]) {
+      assert.strictEqual(keys.has(key), expected.has(key), key)
+    }
+  }
+})
+
+test('adding a key twice keeps one', () => {
+  const keys = new KeySet().add('CCO').add('CCO')
+  assert.strictEqual(keys.size, 1)
+  assert.ok(keys.delete('CCO'))
+  assert.ok(!keys.has('CCO'))
+  assert.strictEqual(keys.size, 0)
+})
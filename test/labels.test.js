@@ -0,0 +1,100 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const os = require('os')
+const path = require('path')
+const fs = require('fs-extra')
+
+const Parser = require('../src/drawer/Parser')
+const Drawer = require('../src/drawer/Drawer')
+const SVG = require('../src/generator/SVG')
+const Renderer = require('../src/generator/Renderer')
+const { labelMapSvg } = require('../src/generator/maps')
+const CocoExporter = require('../src/generator/coco')
+const { yoloLines } = require('../src/generator/yolo')
+const { bondLabels, textLabel, labelVocabulary, labelClass } = require('../src/generator/types')
+const { polygonArea, boundingBox } = require('../src/generator/misc')
+
+const graph = function(smiles) {
+  const drawer = new Drawer({})
+  drawer.initDraw(Parser.parse(smiles))
+  return drawer.graph
+}
+
+const line = (x1, y1, x2, y2, label = bondLabels.single) => ({ id: '0', label, x1: String(x1), y1: String(y1), x2: String(x2), y2: String(y2), strokeWidth: 4 })
+
+test('the outline of a single bond is as wide as its stroke', () => {
+  const { points } = new SVG().hull([line(0, 10, 20, 10)])
+
+  assert.deepStrictEqual(boundingBox(points), [0, 8, 20, 4])
+  assert.strictEqual(polygonArea(points), 80)
+})
+
+test('the outline of a double bond includes the stroke of both lines', () => {
+  const { points } = new SVG().hull([line(0, 0, 0, 20, bondLabels.double), line(6, 20, 6, 0, bondLabels.double)])
+
+  assert.deepStrictEqual(boundingBox(points), [-2, 0, 10, 20])
+  assert.strictEqual(polygonArea(points), 200)
+})
+
+test('yolo boxes of a horizontal bond have the height of its stroke', () => {
+  const { points } = new SVG().hull([line(20, 50, 60, 50)])
+  const record = { width: 100, height: 100, labels: [{ id: '0', label: bondLabels.single, xy: points.map(p => p.join(',')).join(' ') }] }
+
+  assert.strictEqual(yoloLines(record, 'aabb'), '0 0.4 0.5 0.4 0.04')
+  assert.strictEqual(yoloLines(record, 'obb'), '0 0.2 0.48 0.6 0.48 0.6 0.52 0.2 0.52')
+})
+
+test('coco annotations are streamed into one json file', async() => {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'coco-'))
+  const coco = new CocoExporter(directory)
+  await coco.open()
+
+  for (const smiles of ['C', 'CC']) {
+    const labels = [{ id: '1', label: bondLabels.single, xy: '0,0 10,0 10,4 0,4' }]
+    coco.add({ smiles, split: null, file: path.join(directory, `${smiles}.png`), width: 10, height: 10, labels })
+  }
+
+  const file = await coco.write()
+  const json = JSON.parse(await fs.readFile(file, 'utf8'))
+
+  assert.deepStrictEqual(json.images.map(i => [i.id, i.smiles]), [[1, 'C'], [2, 'CC']])
+  assert.deepStrictEqual(json.annotations.map(a => [a.id, a.image_id, a.area]), [[1, 1, 40], [2, 2, 40]])
+  assert.deepStrictEqual(await fs.readdir(directory), ['annotations.json', 'annotations.json.annotations.partial', 'annotations.json.images.partial'])
+
+  await fs.remove(directory)
+})
+
+test('coco annotations of a resumed run include the earlier runs', async() => {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'coco-'))
+  const labels = [{ id: '1', label: bondLabels.single, xy: '0,0 10,0 10,4 0,4' }]
+
+  for (const [resume, smiles] of [[false, 'C'], [true, 'CC'], [true, 'CCC']]) {
+    const coco = new CocoExporter(directory)
+    await coco.open(resume)
+    coco.add({ smiles, split: null, file: path.join(directory, `${smiles}.png`), width: 10, height: 10, labels })
+    await coco.write()
+  }
+
+  const json = JSON.parse(await fs.readFile(path.join(directory, 'annotations.json'), 'utf8'))
+
+  assert.deepStrictEqual(json.images.map(i => [i.id, i.smiles]), [[1, 'C'], [2, 'CC'], [3, 'CCC']])
+  assert.deepStrictEqual(json.annotations.map(a => [a.id, a.image_id]), [[1, 1], [2, 2], [3, 3]])
+
+  await fs.remove(directory)
+})
+
+test('aromatic atoms have the text class of their element', () => {
+  const renderer = new Renderer({ outputDirectory: os.tmpdir(), size: 256 })
+  const labels = renderer.addElements([{ id: 'vertex-id-3', label: textLabel }, { id: 'edge-id-0', label: bondLabels.single }], graph('c1cc[se]c1'))
+
+  assert.strictEqual(labels[0].element, 'Se')
+  assert.ok(labelVocabulary.includes(labelClass(labels[0])))
+  assert.strictEqual(labelClass(labels[1]), bondLabels.single)
+})
+
+test('aromatic atoms have the class of their element in the label maps', () => {
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg"><text vertex-id="vertex-id-3" label="${textLabel}">Se</text></svg>`
+  const { classes } = labelMapSvg(svg, graph('c1cc[se]c1'))
+
+  assert.strictEqual(classes[4], labelVocabulary.indexOf(`${textLabel}-Se`) + 1)
+})
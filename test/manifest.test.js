@@ -0,0 +1,24 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const os = require('os')
+const path = require('path')
+const fs = require('fs-extra')
+
+const Manifest = require('../src/generator/manifest')
+
+test('duplicates do not change whether the molecule they repeat is complete', async() => {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'manifest-'))
+  const manifest = new Manifest(directory)
+
+  manifest.open(false)
+  manifest.add({ id: 'a', compoundId: 'A1', smiles: 'CCO', status: 'success', files: [] })
+  manifest.add({ id: 'a', compoundId: 'A2', smiles: 'OCC', status: 'duplicate' })
+  manifest.add({ id: 'b', compoundId: 'B1', smiles: 'C1', status: 'failure' })
+  await manifest.close()
+
+  const completed = await manifest.completed()
+  assert.ok(completed.has('a'))
+  assert.ok(!completed.has('b'))
+
+  await fs.remove(directory)
+})
@@ -0,0 +1,57 @@
+const test = require('node:test')
+const assert = require('node:assert')
+
+const Parser = require('../src/drawer/Parser')
+const Drawer = require('../src/drawer/Drawer')
+const MolWriter = require('../src/drawer/MolWriter')
+const MolReader = require('../src/drawer/MolReader')
+
+const bondTypes = function(smiles) {
+  const drawer = new Drawer({})
+  drawer.initDraw(Parser.parse(smiles))
+  return MolWriter.getMolecule(drawer.graph).bonds.map(bond => bond.type)
+}
+
+test('aromatic bonds are written with their Kekulé bond orders', () => {
+  const types = bondTypes('c1ccccc1')
+
+  assert.deepStrictEqual(types.slice().sort(), [1, 1, 1, 2, 2, 2])
+  assert.ok(types.every((type, i) => type !== types[(i + 1) % types.length]))
+})
+
+test('aromatic and Kekulé inputs give the same bond orders', () => {
+  for (const [aromatic, kekule] of [['c1ccccc1O', 'C1=CC=CC=C1O'], ['Cn1cnc2c1c(=O)n(C)c(=O)n2C', 'CN1C=NC2=C1C(=O)N(C)C(=O)N2C']]) {
+    assert.deepStrictEqual(bondTypes(aromatic).sort(), bondTypes(kekule).sort())
+  }
+})
+
+const canonical = function(data) {
+  const drawer = new Drawer({})
+  drawer.initDraw(data)
+  return drawer.getCanonicalSmiles()
+}
+
+// Parity comes from the wedges and the coordinates, double bond configurations from the coordinates
+for (const version of ['V2000', 'V3000']) {
+  test(`stereo survives a round trip through ${version} MOL files`, () => {
+    for (const smiles of ['C[C@H](N)C(=O)O', 'C[C@@H](N)C(=O)O', 'F/C=C/F', 'F/C=C\\F', 'N[C@@H](C/C=C/Cl)C(=O)O']) {
+      const drawer = new Drawer({})
+      drawer.initDraw(Parser.parse(smiles))
+      drawer.processGraph()
+
+      assert.strictEqual(canonical(MolReader.read(drawer.getMolBlock({ version }))), canonical(Parser.parse(smiles)))
+    }
+  })
+}
+
+test('enantiomers and double bond isomers read from MOL files stay apart', () => {
+  const read = smiles => {
+    const drawer = new Drawer({})
+    drawer.initDraw(Parser.parse(smiles))
+    drawer.processGraph()
+    return canonical(MolReader.read(drawer.getMolBlock()))
+  }
+
+  assert.notStrictEqual(read('C[C@H](N)C(=O)O'), read('C[C@@H](N)C(=O)O'))
+  assert.notStrictEqual(read('F/C=C/F'), read('F/C=C\\F'))
+})
@@ -0,0 +1,60 @@
+const test = require('node:test')
+const assert = require('node:assert')
+
+const Parser = require('../src/drawer/Parser')
+const Drawer = require('../src/drawer/Drawer')
+
+const canonical = function(smiles) {
+  const drawer = new Drawer({})
+  drawer.initDraw(Parser.parse(smiles))
+  return drawer.getCanonicalSmiles()
+}
+
+// Inputs of the same molecule, written aromatic and Kekulé or in another atom order
+const same = [
+  ['c1ccccc1', 'C1=CC=CC=C1'],
+  ['Cn1cnc2c1c(=O)n(C)c(=O)n2C', 'CN1C=NC2=C1C(=O)N(C)C(=O)N2C'],
+  ['O=c1cccc[nH]1', 'O=C1C=CC=CN1'],
+  ['c1cc[nH]c1', 'C1=CNC=C1'],
+  ['c1ccc2ccccc2c1', 'C1=CC2=CC=CC=C2C=C1'],
+  ['c1ccc2cccc2cc1', 'C1=CC=C2C=CC=C2C=C1'],
+  ['c1ccc[n+](c1)[O-]', 'C1=CC=[N+](C=C1)[O-]'],
+  ['OCC', 'CCO'],
+  ['F/C=C/F', 'F\\C=C\\F'],
+  ['F/C=C\\F', 'C(/F)=C/F'],
+  ['[H]/C(F)=C\\F', 'F/C=C/F'],
+  ['C1CCCCCCC/C=C/1', 'C(\\C1)=C/CCCCCCC1']
+]
+
+for (const [a, b] of same) {
+  test(`${a} and ${b} have the same canonical SMILES`, () => {
+    assert.strictEqual(canonical(a), canonical(b))
+  })
+}
+
+// Double bond configurations that must stay apart
+const different = [
+  ['F/C=C/F', 'F/C=C\\F'],
+  ['C/C=C/C=C/C', 'C/C=C/C=C\\C'],
+  ['C1CCCCCCC/C=C/1', 'C1CCCCCCC/C=C\\1']
+]
+
+for (const [a, b] of different) {
+  test(`${a} and ${b} have different canonical SMILES`, () => {
+    assert.notStrictEqual(canonical(a), canonical(b))
+  })
+}
+
+const written = [
+  ['C1=CC=CC=C1', 'c1ccccc1'],
+  ['O=C1C=CC(=O)C=C1', 'C1=CC(C=CC1=O)=O'],
+  ['C1=CC=CC=CC=C1', 'C=1C=CC=CC=CC=1'],
+  ['C/C=C/C', 'C/C=C/C'],
+  ['CC(C)=C/F', 'CC(C)=CF']
+]
+
+for (const [smiles, expected] of written) {
+  test(`the canonical SMILES of ${smiles} is ${expected}`, () => {
+    assert.strictEqual(canonical(smiles), expected)
+  })
+}
@@ -0,0 +1,26 @@
+const test = require('node:test')
+const assert = require('node:assert')
+
+const { Splitter } = require('../src/generator/split')
+const { Analysis } = require('../src/generator/analysis')
+
+const splitter = new Splitter({ split: 'train=0.5,test=0.5', splitBy: 'scaffold', seed: false })
+const analysis = new Analysis({ scaffold: true })
+const assign = function(smiles) {
+  const { canonicalSmiles, scaffold } = analysis.analyze(smiles)
+  return splitter.assign(canonicalSmiles, scaffold)
+}
+
+test('molecules without rings are spread over the splits', () => {
+  const chains = Array.from({ length: 40 }, (_, i) => 'C'.repeat(i + 1) + 'O')
+  const splits = new Set(chains.map(smiles => assign(smiles).split))
+
+  assert.deepStrictEqual([...splits].sort(), ['test', 'train'])
+})
+
+test('molecules with the same scaffold share their split', () => {
+  const [first, ...others] = ['c1ccccc1', 'Oc1ccccc1', 'CCc1ccccc1C(=O)O', 'Nc1ccc(Cl)cc1'].map(assign)
+
+  assert.notStrictEqual(first.scaffold, '')
+  assert.ok(others.every(({ split, scaffold }) => split === first.split && scaffold === first.scaffold))
+})
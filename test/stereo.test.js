@@ -0,0 +1,30 @@
+const test = require('node:test')
+const assert = require('node:assert')
+
+const Parser = require('../src/drawer/Parser')
+const Drawer = require('../src/drawer/Drawer')
+
+const load = function(smiles) {
+  const drawer = new Drawer({})
+  drawer.initDraw(Parser.parse(smiles))
+  return drawer.graph
+}
+
+// Neighbours of a stereocenter in the order of the SMILES: the previous atom, the hydrogen in its bracket, the ring
+// bond partners in the order of the digits, then the branches and the next atom, written as vertex ids
+const cases = [
+  ['[C@@H]12CCCC[C@H]1CCCC2', 0, [1, 6, 11, 2]],
+  ['[C@@H]12CCCC[C@H]1CCCC2', 6, [5, 7, 0, 8]],
+  ['C[C@H]1CC[C@@H](C)CC1', 1, [0, 2, 9, 3]],
+  ['C[C@]12CCC[C@H]1CC2', 1, [0, 5, 8, 2]],
+  ['[C@@H]1(F)CCC1', 0, [1, 5, 2, 3]],
+  ['C1CC2CC[C@@]12C', 5, [4, 0, 2, 6]],
+  ['C1CC2CC[C@@]21C', 5, [4, 2, 0, 6]],
+  ['OC[C@H]1OC(O)[C@H](O)[C@@H](O)[C@@H]1O', 13, [10, 14, 2, 15]]
+]
+
+for (const [smiles, id, neighbours] of cases) {
+  test(`neighbours of atom ${id} of ${smiles} follow the SMILES`, () => {
+    assert.deepStrictEqual(load(smiles).vertices[id].neighbours, neighbours)
+  })
+}
@@ -0,0 +1,30 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const os = require('os')
+const path = require('path')
+const fs = require('fs-extra')
+
+const { loadStyle } = require('../src/generator/style')
+
+const load = async function(config) {
+  const file = path.join(await fs.mkdtemp(path.join(os.tmpdir(), 'style-')), 'config.json')
+  await fs.writeJson(file, config)
+
+  try {
+    return loadStyle(file, { fonts: ['Arial'], fontWeights: [400] })
+  } finally {
+    await fs.remove(path.dirname(file))
+  }
+}
+
+const choice = weights => ({ options: { fontWeight: { type: 'choice', values: [400, 700], weights } } })
+
+test('a choice takes one weight per value', async() => {
+  const style = await load(choice([3, 1]))
+  assert.deepStrictEqual(style.options.fontWeight.weights, [3, 1])
+})
+
+test('a choice with more or fewer weights than values is rejected', async() => {
+  await assert.rejects(load(choice([3])), /must have as many weights as values/)
+  await assert.rejects(load(choice([3, 1, 1])), /must have as many weights as values/)
+})